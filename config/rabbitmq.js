@@ -1,21 +1,42 @@
 const amqp = require('amqplib');
 const dotenv = require('dotenv');
+const EventEmitter = require('events');
 
 dotenv.config();
 
 /**
  * RabbitMQ configuration and connection manager
  * Implements singleton pattern
+ *
+ * Reconnects with exponential backoff and jitter when the connection drops, and
+ * opens a new channel when only the channel is closed. Emits:
+ * - connected ({ connection, channel }) - after every (re)connect or channel recovery
+ * - disconnected (error) - when the connection or channel is lost
+ * - reconnect-failed (error) - when RABBITMQ_RECONNECT_MAX_ATTEMPTS is used up
  */
-class RabbitmqConfig {
+class RabbitmqConfig extends EventEmitter {
     constructor() {
         if (RabbitmqConfig.instance) {
             return RabbitmqConfig.instance;
         }
-        
+
+        super();
+
         this.connection = null;
         this.channel = null;
         this.url = process.env.RABBITMQ_URL || 'amqp://localhost';
+        // Open a confirm channel so publishers can wait for the broker to accept messages
+        this.confirm = false;
+        this.reconnectOptions = {
+            initialDelay: parseInt(process.env.RABBITMQ_RECONNECT_DELAY || '1000'),
+            maxDelay: parseInt(process.env.RABBITMQ_RECONNECT_MAX_DELAY || '30000'),
+            // 0 keeps trying forever
+            maxAttempts: parseInt(process.env.RABBITMQ_RECONNECT_MAX_ATTEMPTS || '0')
+        };
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.connecting = null;
+        this.closing = false;
 
         RabbitmqConfig.instance = this;
     }
@@ -33,49 +54,151 @@ class RabbitmqConfig {
 
     /**
      * Connect to RabbitMQ server
+     * A failed attempt is retried in the background, so this resolves without a
+     * channel; listen for the connected event to find out when it is available.
      * @returns {Promise<void>}
      */
     async connect() {
-        try {
-            // Skip connection if we're running the API Gateway service
-            if (process.argv.includes('-s=api-gateway')) {
-                console.log('API Gateway service detected, skipping RabbitMQ connection');
-                return;
-            }
+        // Skip connection if we're running the API Gateway service
+        if (process.argv.includes('-s=api-gateway')) {
+            console.log('API Gateway service detected, skipping RabbitMQ connection');
+            return;
+        }
+
+        if (this.connection) {
+            return;
+        }
 
-            this.connection = await amqp.connect(this.url);
-            this.channel = await this.connection.createChannel();
+        // Services created in the same process share one connection
+        if (!this.connecting) {
+            this.closing = false;
+            this.connecting = this._connect().finally(() => {
+                this.connecting = null;
+            });
+        }
 
-            console.log('Connected to RabbitMQ');
+        await this.connecting;
+    }
+
+    async _connect() {
+        try {
+            const connection = await amqp.connect(this.url);
 
-            // Handle connection close
-            this.connection.on('close', () => {
-                console.log('RabbitMQ connection closed');
-                this._reconnect();
+            // Errors are followed by a close event, which handles the reconnect
+            connection.on('error', (err) => {
+                console.error('RabbitMQ connection error:', err.message);
             });
 
-            // Handle errors
-            this.connection.on('error', (err) => {
-                console.error('RabbitMQ connection error:', err);
-                this._reconnect();
+            connection.on('close', (err) => {
+                this._handleConnectionClose(connection, err);
             });
+
+            const channel = await this._createChannel(connection);
+
+            this.connection = connection;
+            this.channel = channel;
+            this.reconnectAttempts = 0;
+
+            console.log('Connected to RabbitMQ');
+            this.emit('connected', { connection, channel });
         } catch (error) {
-            console.error('Failed to connect to RabbitMQ:', error);
+            console.error('Failed to connect to RabbitMQ:', error.message);
             this._reconnect();
         }
     }
 
+    async _createChannel(connection) {
+        const channel = this.confirm ? await connection.createConfirmChannel() : await connection.createChannel();
+
+        channel.on('error', (err) => {
+            console.error('RabbitMQ channel error:', err.message);
+        });
+
+        channel.on('close', () => {
+            this._handleChannelClose(connection, channel);
+        });
+
+        return channel;
+    }
+
     /**
-     * Reconnect to RabbitMQ after a delay
+     * Open a new channel when the broker closed the current one (e.g. after a
+     * channel-level error) but the connection is still up
+     * @private
+     */
+    async _handleChannelClose(connection, channel) {
+        if (this.closing || this.channel !== channel) {
+            return;
+        }
+
+        console.log('RabbitMQ channel closed');
+        this.channel = null;
+        this.emit('disconnected', new Error('Channel closed'));
+
+        try {
+            const newChannel = await this._createChannel(connection);
+
+            // The connection may have been replaced while the channel was opening
+            if (this.connection !== connection) {
+                return;
+            }
+
+            this.channel = newChannel;
+            console.log('Recovered RabbitMQ channel');
+            this.emit('connected', { connection, channel: newChannel });
+        } catch (error) {
+            // The connection is closing as well, its close event reconnects
+            console.error('Failed to recover RabbitMQ channel:', error.message);
+        }
+    }
+
+    _handleConnectionClose(connection, err) {
+        if (this.connection !== connection) {
+            return;
+        }
+
+        this.connection = null;
+        this.channel = null;
+
+        if (this.closing) {
+            return;
+        }
+
+        console.log('RabbitMQ connection closed');
+        this.emit('disconnected', err || new Error('Connection closed'));
+        this._reconnect();
+    }
+
+    /**
+     * Reconnect to RabbitMQ after an exponential delay with jitter
      * @private
      */
     _reconnect() {
-        console.log('Attempting to reconnect to RabbitMQ in 5 seconds...');
-        setTimeout(() => {
+        if (this.reconnectTimer || this.closing) {
+            return;
+        }
+
+        const { initialDelay, maxDelay, maxAttempts } = this.reconnectOptions;
+        this.reconnectAttempts++;
+
+        if (maxAttempts && this.reconnectAttempts > maxAttempts) {
+            const error = new Error(`RabbitMQ unreachable after ${maxAttempts} reconnect attempts`);
+            console.error(error.message);
+            this.emit('reconnect-failed', error);
+            return;
+        }
+
+        // Half of the delay is fixed and half random, so restarted services do not reconnect in lockstep
+        const delay = Math.min(initialDelay * Math.pow(2, this.reconnectAttempts - 1), maxDelay);
+        const jitteredDelay = Math.round(delay / 2 + Math.random() * delay / 2);
+
+        console.log(`Attempting to reconnect to RabbitMQ in ${jitteredDelay}ms (attempt ${this.reconnectAttempts}${maxAttempts ? `/${maxAttempts}` : ''})...`);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
             this.connect().catch(err => {
                 console.error('Reconnection failed:', err);
             });
-        }, 5000);
+        }, jitteredDelay);
     }
 
     /**
@@ -83,6 +206,10 @@ class RabbitmqConfig {
      * @returns {Promise<void>}
      */
     async close() {
+        this.closing = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
         try {
             if (this.channel) {
                 await this.channel.close();
@@ -93,9 +220,12 @@ class RabbitmqConfig {
             console.log('Closed RabbitMQ connection');
         } catch (error) {
             console.error('Error closing RabbitMQ connection:', error);
+        } finally {
+            this.channel = null;
+            this.connection = null;
         }
     }
 }
 
 // Create and export singleton instance
-module.exports = RabbitmqConfig.getInstance();
\ No newline at end of file
+module.exports = RabbitmqConfig.getInstance();
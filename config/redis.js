@@ -1,14 +1,49 @@
-import redis from 'redis';
+const redis = require('redis');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const maxReconnectAttempts = parseInt(process.env.REDIS_MAX_RECONNECT_ATTEMPTS || '10');
 
 const client = redis.createClient({
-    host: process.env.REDIS_HOST,
-    port: process.env.REDIS_PORT,
+    url: process.env.REDIS_URL,
+    socket: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT || '6379'),
+        // Give up eventually so callers waiting on connect() get an error instead of hanging
+        reconnectStrategy: (retries) => {
+            if (retries >= maxReconnectAttempts) {
+                return new Error(`Redis unreachable after ${retries} attempts`);
+            }
+            return Math.min(retries * 200, 3000);
+        }
+    }
 });
 
 client.on('error', (err) => {
     console.error('Redis client error:', err);
 });
 
-export default client;
+let connecting = null;
+
+/**
+ * Connect the shared client if it is not connected yet
+ * @returns {Promise<Object>} Connected Redis client
+ */
+client.ensureConnected = async () => {
+    // Commands are queued while an open client reconnects
+    if (client.isOpen && !connecting) {
+        return client;
+    }
+
+    if (!connecting) {
+        connecting = client.connect().finally(() => {
+            connecting = null;
+        });
+    }
 
+    await connecting;
+    return client;
+};
 
+module.exports = client;
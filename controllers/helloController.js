@@ -9,14 +9,9 @@
  * @param {Object} res - Express response object
  */
 const getHello = (req, res) => {
-    try {
-        return res.api.success({
-            timestamp: new Date().toISOString()
-        }, 'Hello from API Service!');
-    } catch (error) {
-        console.error('Error in hello controller:', error);
-        return res.api.internalError();
-    }
+    return res.api.success({
+        timestamp: new Date().toISOString()
+    }, 'Hello from API Service!');
 };
 
 /**
@@ -25,19 +20,14 @@ const getHello = (req, res) => {
  * @param {Object} res - Express response object
  */
 const getHelloWithName = (req, res) => {
-    try {
-        const { name } = req.params;
+    const { name } = req.params;
 
-        return res.api.success({
-            timestamp: new Date().toISOString()
-        }, `Hello, ${name}! Welcome to our API Service.`);
-    } catch (error) {
-        console.error('Error in hello controller:', error);
-        return res.api.internalError();
-    }
+    return res.api.success({
+        timestamp: new Date().toISOString()
+    }, `Hello, ${name}! Welcome to our API Service.`);
 };
 
 module.exports = {
     getHello,
     getHelloWithName
-}; 
\ No newline at end of file
+};
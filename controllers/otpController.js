@@ -1,118 +1,611 @@
 /**
  * OTP Controller
- * Handles OTP generation and verification
+ * Handles OTP generation and verification, and authenticator app (TOTP/HOTP)
+ * enrollment and verification
  */
 
-// In-memory OTP storage (replace with database in production)
-const otpStore = new Map();
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { StatusCodes } = require('http-status-codes');
+const { ValidationError, NotFoundError, ConflictError, ServiceError } = require('../utils/errors');
+const { generateOtp, hashOtp, verifyOtpHash } = require('../utils/otp');
+const {
+    generateSecret,
+    getTimeStep,
+    findCounter,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+} = require('../utils/authenticator');
 
-// OTP configuration
-const config = {
-    length: 6,
-    expiryMinutes: 10,
-    type: 'numeric' // numeric, alphanumeric
-};
+const LOCKED_OUT_MESSAGE = 'Too many failed verifications, try again later';
 
 /**
- * Generate a new OTP
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
+ * Create OTP request handlers bound to an OTP store
+ * @param {OtpStore} store - Store that keeps the hashed OTPs (see services/stores)
+ * @param {Object} config - OTP configuration (see services/otp/config/otp.js)
+ * @param {Object} delivery - OTP delivery
+ * @param {Function} delivery.resolveChannel - Picks the channel for an identifier, see OtpDelivery
+ * @param {Function} delivery.enqueue - Queues a delivery message for sending
+ * @param {Function} publishEvent - Publishes an OTP event (routingKey, payload) after a generation
+ * or verification succeeded, must not throw
+ * @returns {Object} Request handlers, and issueOtp and checkOtp for the otp.requests queue
  */
-const generateOTP = (req, res) => {
-    try {
-        const { identifier } = req.body;
+const createOtpController = (store, config, delivery, publishEvent = async () => {}) => {
+    /**
+     * Get the OTP settings of a purpose
+     * @param {string} purpose - Purpose from the request, the defaults apply without one
+     * @returns {Object} length, type, expiresIn, maxAttempts and resendCooldown
+     * @throws {ValidationError} If the purpose is not configured
+     */
+    const getPolicy = (purpose) => {
+        const defaults = {
+            length: config.length,
+            type: config.type,
+            expiresIn: config.expiresIn,
+            maxAttempts: config.maxAttempts,
+            resendCooldown: config.resendCooldown
+        };
+
+        if (!purpose) {
+            return defaults;
+        }
+
+        if (!config.purposes[purpose]) {
+            throw new ValidationError('Unknown OTP purpose', [{ field: 'purpose', message: `"${purpose}" is not a configured purpose` }]);
+        }
+
+        return { ...defaults, ...config.purposes[purpose] };
+    };
+
+    /**
+     * Get the store key of an OTP, OTPs of one purpose cannot be used for another
+     * @param {string} identifier - Identifier the OTP is issued to
+     * @param {string} purpose - Purpose of the OTP
+     * @returns {string} Store key
+     */
+    const getKey = (identifier, purpose) => (purpose ? `${purpose}:${identifier}` : identifier);
+
+    /**
+     * Respond 429 with a Retry-After header
+     * @param {Object} res - Express response object
+     * @param {string} message - Error message
+     * @param {number} retryAfter - Time in ms until the client may try again
+     */
+    const tooMany = (res, message, retryAfter) => {
+        const seconds = Math.max(Math.ceil(retryAfter / 1000), 1);
+
+        res.set('Retry-After', String(seconds));
+        return res.api.tooMany(message, { retryAfter: seconds });
+    };
+
+    /**
+     * Count a failed verification, locking the key once the lockout limit is reached
+     * Failures still in the window when a lock is lifted count toward the next one.
+     * @param {string} key - Store key of the OTP
+     * @returns {Promise<number>} Time in ms the key is locked for, 0 if it is not locked
+     */
+    const recordFailure = async (key) => {
+        const { maxFailures, window, duration } = config.lockout;
+        const { remaining } = await store.consumeRateLimit(`failures:${key}`, maxFailures, window * 1000);
+
+        if (remaining > 0) {
+            return 0;
+        }
+
+        await store.setLock(key, duration * 1000);
+        // A locked out OTP cannot be used after the lock is lifted either
+        await store.delete(key);
+
+        return duration * 1000;
+    };
 
-        if (!identifier) {
-            return res.api.badRequest('Missing identifier');
+    /**
+     * Get the lockout key of an authenticator, locked apart from the OTPs of the identifier
+     * @param {string} identifier - Identifier the authenticator is enrolled for
+     * @returns {string} Lockout key
+     */
+    const getAuthenticatorLockKey = (identifier) => `authenticator:${identifier}`;
+
+    /**
+     * Get the authenticator enrollment of an identifier
+     * @param {string} identifier - Identifier the authenticator is enrolled for
+     * @param {boolean} confirmed - Whether a confirmed or a pending enrollment is expected
+     * @returns {Promise<Object>} Enrollment
+     * @throws {NotFoundError} If there is no such enrollment
+     */
+    const getEnrollment = async (identifier, confirmed) => {
+        const enrollment = await store.getAuthenticator(identifier);
+
+        if (!enrollment || enrollment.confirmed !== confirmed) {
+            throw new NotFoundError(confirmed ? 'Authenticator' : 'Pending authenticator', identifier);
         }
 
-        // Generate OTP
-        let otp;
-        if (config.type === 'numeric') {
-            otp = Math.floor(Math.pow(10, config.length - 1) + Math.random() * 9 * Math.pow(10, config.length - 1)).toString();
-        } else {
-            // Alphanumeric
-            const chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
-            otp = Array(config.length).fill().map(() => chars.charAt(Math.floor(Math.random() * chars.length))).join('');
+        return enrollment;
+    };
+
+    /**
+     * Compare an enrollmentId in constant time
+     * @param {string} expected - enrollmentId of the enrollment
+     * @param {string} actual - enrollmentId from the request
+     * @returns {boolean} True if both are set and equal
+     */
+    const isSameId = (expected, actual) => {
+        const [a, b] = [Buffer.from(String(expected || '')), Buffer.from(String(actual || ''))];
+
+        return Boolean(expected) && a.length === b.length && crypto.timingSafeEqual(a, b);
+    };
+
+    /**
+     * Check a code from an authenticator app and record its counter
+     * TOTP codes are accepted within the drift window around the current time step,
+     * HOTP codes up to lookAhead counters past the last used one. A counter is only
+     * accepted once, so a code cannot be replayed.
+     * @param {string} identifier - Identifier the authenticator is enrolled for
+     * @param {Object} enrollment - Enrollment of the identifier
+     * @param {string} otp - Code to check
+     * @returns {Promise<number|null>} Counter of the code, or null if it is wrong or used
+     */
+    const checkAuthenticatorCode = async (identifier, enrollment, otp) => {
+        const { window, lookAhead } = config.authenticator;
+        const next = enrollment.lastCounter + 1;
+        const [first, last] = enrollment.type === 'totp'
+            ? [getTimeStep(enrollment.period) - window, getTimeStep(enrollment.period) + window]
+            : [next, next + lookAhead];
+
+        const counters = [];
+        for (let counter = Math.max(first, next); counter <= last; counter++) {
+            counters.push(counter);
         }
 
-        // Store OTP with expiry time
-        const expiryTime = new Date();
-        expiryTime.setMinutes(expiryTime.getMinutes() + config.expiryMinutes);
+        const counter = findCounter(otp, enrollment.secret, counters, {
+            digits: enrollment.digits,
+            algorithm: enrollment.algorithm
+        });
 
-        otpStore.set(identifier, {
-            otp,
-            expiryTime,
-            attempts: 0
+        if (counter === null || !await store.advanceAuthenticatorCounter(identifier, counter)) {
+            return null;
+        }
+
+        return counter;
+    };
+
+    /**
+     * Check a recovery code and use it up
+     * @param {string} identifier - Identifier the codes were issued to
+     * @param {string} recoveryCode - Code to check
+     * @returns {Promise<boolean>} True if the code was valid and unused
+     */
+    const checkRecoveryCode = async (identifier, recoveryCode) => {
+        const code = normalizeRecoveryCode(recoveryCode);
+        const stored = (await store.getRecoveryCodes(identifier)).find((entry) => {
+            const [salt, hash] = entry.split(':');
+            return verifyOtpHash(code, { hash, salt });
         });
 
-        console.log(`Generated OTP for ${identifier}: ${otp} (expires: ${expiryTime})`);
+        return Boolean(stored) && store.useRecoveryCode(identifier, stored);
+    };
 
-        return res.api.success({
-            expiryMinutes: config.expiryMinutes
-        }, 'OTP generated successfully');
-    } catch (error) {
-        console.error('Error generating OTP:', error);
-        return res.api.internalError('Failed to generate OTP');
-    }
-};
+    /**
+     * Issue new recovery codes, replacing any earlier ones
+     * Only salted hashes are stored, the codes are shown to the user once.
+     * @param {string} identifier - Identifier the codes are issued to
+     * @returns {Promise<Array<string>>} Recovery codes
+     */
+    const issueRecoveryCodes = async (identifier) => {
+        const codes = generateRecoveryCodes(config.authenticator.recoveryCodes);
 
-/**
- * Verify an OTP
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- */
-const verifyOTP = (req, res) => {
-    try {
-        const { identifier, otp } = req.body;
+        await store.setRecoveryCodes(identifier, codes.map((code) => {
+            const { hash, salt } = hashOtp(normalizeRecoveryCode(code));
+            return `${salt}:${hash}`;
+        }));
 
-        if (!identifier || !otp) {
-            return res.api.badRequest('Missing identifier or OTP');
+        return codes;
+    };
+
+    /**
+     * Check the code or recovery code of a request against a confirmed enrollment
+     * @param {string} identifier - Identifier the authenticator is enrolled for
+     * @param {Object} codes - otp or recoveryCode from the request
+     * @returns {Promise<string|null>} Method that succeeded (authenticator, recovery-code), or null
+     * @throws {NotFoundError} If no authenticator is enrolled
+     */
+    const authenticate = async (identifier, { otp, recoveryCode }) => {
+        const enrollment = await getEnrollment(identifier, true);
+
+        if (otp) {
+            return (await checkAuthenticatorCode(identifier, enrollment, otp)) === null ? null : 'authenticator';
+        }
+
+        return (await checkRecoveryCode(identifier, recoveryCode)) ? 'recovery-code' : null;
+    };
+
+    /**
+     * Count a failed authenticator verification and reject it
+     * @param {Object} res - Express response object
+     * @param {string} identifier - Identifier the authenticator is enrolled for
+     * @param {string} message - Error message when the identifier is not locked out yet
+     * @throws {ValidationError} If the identifier is not locked out yet
+     */
+    const rejectAuthenticator = async (res, identifier, message) => {
+        const lockDuration = await recordFailure(getAuthenticatorLockKey(identifier));
+
+        if (lockDuration) {
+            console.log(`Locked out authenticator of ${identifier} after too many failed verifications`);
+            return tooMany(res, LOCKED_OUT_MESSAGE, lockDuration);
+        }
+
+        console.log(`Invalid authenticator code for ${identifier}`);
+        throw new ValidationError(message);
+    };
+
+    /**
+     * Issue a new OTP and queue it for delivery
+     * Used by POST /generate and the generate action of the otp.requests queue.
+     * @param {Object} request - OTP request
+     * @param {string} request.identifier - Identifier to issue the OTP to
+     * @param {string} request.purpose - Purpose of the OTP
+     * @param {string} request.channel - Delivery channel, guessed from the identifier if not set
+     * @param {string} request.ip - Client IP the per-IP limit counts by, not checked if not set
+     * @returns {Promise<Object>} deliveryId, channel and expiresIn, or message and retryAfter (ms) if a limit was hit
+     * @throws {ValidationError} If the purpose is not configured or the channel cannot be used
+     * @throws {ServiceError} If the OTP cannot be queued for delivery
+     */
+    const issueOtp = async ({ identifier, purpose, channel: requestedChannel, ip }) => {
+        const policy = getPolicy(purpose);
+        const channel = delivery.resolveChannel(identifier, requestedChannel);
+        const key = getKey(identifier, purpose);
+
+        const lockedFor = await store.getLockTtl(key);
+        if (lockedFor) {
+            console.log(`OTP requested for locked out ${identifier}`);
+            return { message: LOCKED_OUT_MESSAGE, retryAfter: lockedFor };
+        }
+
+        // Checked from the widest limit to the narrowest, the first one reached is reported. A hit
+        // only counts once it passes all of them, so a client over its IP limit cannot start the
+        // cooldown of someone else's identifier, and retries during a cooldown use up no quota.
+        const limits = [
+            { key: `ip:${ip}`, ...config.rateLimits.ip, message: 'Too many OTPs requested from this address' },
+            { key: `identifier:${identifier}`, ...config.rateLimits.identifier, message: 'Too many OTPs requested for this identifier' },
+            { key: `cooldown:${key}`, max: 1, window: policy.resendCooldown, message: 'Please wait before requesting another OTP' }
+        ].filter(limit => limit.window > 0 && (ip || !limit.key.startsWith('ip:')));
+
+        const { allowed, key: reached, retryAfter } = await store.consumeRateLimits(
+            limits.map(limit => ({ key: limit.key, limit: limit.max, window: limit.window * 1000 }))
+        );
+
+        if (!allowed) {
+            console.log(`OTP rate limit ${reached} reached for ${identifier}`);
+            return { message: limits.find(limit => limit.key === reached).message, retryAfter };
+        }
+
+        const otp = generateOtp(policy.length, policy.type);
+        const ttl = policy.expiresIn * 1000;
+        const expiresAt = Date.now() + ttl;
+
+        // Only a salted hash is stored, a new OTP replaces any earlier one
+        await store.set(key, { ...hashOtp(otp), attempts: 0, expiresAt }, ttl);
+
+        // The OTP is sent by the delivery consumer, which reports the delivery status as events
+        const deliveryId = uuidv4();
+        try {
+            await delivery.enqueue({
+                action: 'deliver',
+                deliveryId,
+                identifier,
+                channel,
+                purpose,
+                otp,
+                expiresIn: policy.expiresIn,
+                expiresAt: new Date(expiresAt).toISOString()
+            });
+        } catch (error) {
+            // An OTP that is never sent would only get in the way of a new one
+            await store.delete(key);
+            throw new ServiceError('otp', 'OTP delivery is unavailable', StatusCodes.SERVICE_UNAVAILABLE);
+        }
+
+        console.log(`Generated ${purpose || 'default'} OTP for ${identifier}, ${channel} delivery ${deliveryId} queued (expires: ${new Date(expiresAt).toISOString()})`);
+        await publishEvent('otp.generated', { identifier, purpose, channel, deliveryId });
+
+        return { deliveryId, channel, expiresIn: policy.expiresIn };
+    };
+
+    /**
+     * Check an OTP against the store and use it up
+     * Used by POST /verify and the verify action of the otp.requests queue.
+     * @param {Object} request - Verification request
+     * @param {string} request.identifier - Identifier the OTP was issued to
+     * @param {string} request.otp - OTP to check
+     * @param {string} request.purpose - Purpose of the OTP
+     * @returns {Promise<Object>} verified, or message and retryAfter (ms) if the identifier is locked out
+     * @throws {ValidationError} If the purpose is unknown or the OTP is missing, expired, wrong or out of attempts
+     */
+    const checkOtp = async ({ identifier, otp, purpose }) => {
+        const policy = getPolicy(purpose);
+        const key = getKey(identifier, purpose);
+
+        const lockedFor = await store.getLockTtl(key);
+        if (lockedFor) {
+            console.log(`OTP verification for locked out ${identifier}`);
+            return { message: LOCKED_OUT_MESSAGE, retryAfter: lockedFor };
         }
 
-        const otpData = otpStore.get(identifier);
+        const otpData = await store.get(key);
 
-        // Check if OTP exists
+        // Check if OTP exists, expired OTPs are removed by the store
         if (!otpData) {
             console.log(`No OTP found for ${identifier}`);
-            return res.api.badRequest('Invalid or expired OTP');
+            throw new ValidationError('Invalid or expired OTP');
         }
 
-        // Check if OTP is expired
-        if (new Date() > otpData.expiryTime) {
+        // Count the attempt before checking, so concurrent guesses cannot exceed the limit
+        const attempts = await store.incrementAttempts(key);
+
+        if (attempts === null) {
             console.log(`OTP expired for ${identifier}`);
-            otpStore.delete(identifier);
-            return res.api.badRequest('OTP has expired');
+            throw new ValidationError('Invalid or expired OTP');
         }
 
-        // Increment attempts
-        otpData.attempts += 1;
+        if (attempts > policy.maxAttempts) {
+            console.log(`Max attempts reached for ${identifier}`);
+            await store.delete(key);
+            throw new ValidationError('Maximum verification attempts reached');
+        }
 
         // Check if OTP matches
-        if (otpData.otp === otp) {
+        if (verifyOtpHash(otp, otpData)) {
+            // Only one of several concurrent requests with the right OTP gets to use it
+            if (!await store.delete(key)) {
+                throw new ValidationError('Invalid or expired OTP');
+            }
+
             console.log(`OTP verified successfully for ${identifier}`);
-            otpStore.delete(identifier);
-            return res.api.success(null, 'OTP verified successfully');
+            await publishEvent('otp.verified', { identifier, purpose });
+
+            return { verified: true };
+        }
+
+        const lockDuration = await recordFailure(key);
+        if (lockDuration) {
+            console.log(`Locked out ${identifier} after too many failed verifications`);
+            return { message: LOCKED_OUT_MESSAGE, retryAfter: lockDuration };
         }
 
-        // Check max attempts (3)
-        if (otpData.attempts >= 3) {
+        if (attempts >= policy.maxAttempts) {
             console.log(`Max attempts reached for ${identifier}`);
-            otpStore.delete(identifier);
-            return res.api.badRequest('Maximum verification attempts reached');
-        } else {
-            otpStore.set(identifier, otpData);
+            await store.delete(key);
+            throw new ValidationError('Maximum verification attempts reached');
         }
 
         console.log(`Invalid OTP for ${identifier}`);
-        return res.api.badRequest('Invalid OTP', { attemptsLeft: 3 - otpData.attempts });
-    } catch (error) {
-        console.error('Error verifying OTP:', error);
-        return res.api.internalError('Failed to verify OTP');
-    }
+        throw new ValidationError('Invalid OTP', { attemptsLeft: policy.maxAttempts - attempts });
+    };
+
+    /**
+     * Generate a new OTP
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @throws {ValidationError} If the purpose is not configured or the channel cannot be used
+     * @throws {ServiceError} If the OTP cannot be queued for delivery
+     */
+    const generateOTP = async (req, res) => {
+        const result = await issueOtp({ ...req.body, ip: req.ip });
+
+        if (result.retryAfter) {
+            return tooMany(res, result.message, result.retryAfter);
+        }
+
+        return res.api.success({
+            deliveryId: result.deliveryId,
+            channel: result.channel,
+            status: 'queued',
+            expiresIn: result.expiresIn,
+            expiryMinutes: result.expiresIn / 60
+        }, 'OTP generated successfully');
+    };
+
+    /**
+     * Verify an OTP
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @throws {ValidationError} If the purpose is unknown or the OTP is missing, expired, wrong or out of attempts
+     */
+    const verifyOTP = async (req, res) => {
+        const result = await checkOtp(req.body);
+
+        if (result.retryAfter) {
+            return tooMany(res, result.message, result.retryAfter);
+        }
+
+        return res.api.success(null, 'OTP verified successfully');
+    };
+
+    /**
+     * Enroll an authenticator app
+     * Only the owner of the identifier can start an enrollment: the request carries an OTP
+     * sent to the identifier for the enrollment purpose. Returns the secret and otpauth URI
+     * to show to the user, and the enrollmentId to confirm with; the enrollment expires
+     * unless it is confirmed with a first code.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @throws {ValidationError} If the OTP is missing, expired or wrong
+     * @throws {ConflictError} If an authenticator is already enrolled for the identifier
+     */
+    const enrollAuthenticator = async (req, res) => {
+        const { identifier, type, otp } = req.body;
+        const { issuer, algorithm, digits, period, secretLength, enrollmentExpiresIn, enrollmentPurpose } = config.authenticator;
+
+        const ownership = await checkOtp({ identifier, otp, purpose: enrollmentPurpose });
+        if (ownership.retryAfter) {
+            return tooMany(res, ownership.message, ownership.retryAfter);
+        }
+
+        const existing = await store.getAuthenticator(identifier);
+        if (existing && existing.confirmed) {
+            throw new ConflictError('An authenticator is already enrolled for this identifier');
+        }
+
+        const secret = generateSecret(secretLength);
+        const enrollmentId = uuidv4();
+        // Replaces an earlier enrollment that was not confirmed, the OTP above proved the caller may
+        await store.setAuthenticator(identifier, {
+            enrollmentId,
+            type,
+            secret,
+            algorithm,
+            digits,
+            period,
+            lastCounter: -1,
+            confirmed: false,
+            createdAt: Date.now()
+        }, enrollmentExpiresIn * 1000);
+
+        console.log(`Authenticator (${type}) enrollment started for ${identifier}`);
+
+        return res.api.created({
+            enrollmentId,
+            type,
+            secret,
+            uri: buildOtpauthUri({ type, issuer, account: identifier, secret, algorithm, digits, period, counter: 0 }),
+            algorithm,
+            digits,
+            ...(type === 'totp' ? { period } : { counter: 0 }),
+            expiresIn: enrollmentExpiresIn
+        }, 'Authenticator enrollment started');
+    };
+
+    /**
+     * Confirm an authenticator enrollment with a first code from the app
+     * Requests without the enrollmentId the enrollment was started with are refused
+     * before the code is checked, so they cannot count toward the lockout either.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @throws {NotFoundError} If there is no pending enrollment with the enrollmentId
+     * @throws {ValidationError} If the code is wrong
+     */
+    const confirmAuthenticator = async (req, res) => {
+        const { identifier, enrollmentId, otp } = req.body;
+
+        const lockedFor = await store.getLockTtl(getAuthenticatorLockKey(identifier));
+        if (lockedFor) {
+            return tooMany(res, LOCKED_OUT_MESSAGE, lockedFor);
+        }
+
+        const enrollment = await getEnrollment(identifier, false);
+        if (!isSameId(enrollment.enrollmentId, enrollmentId)) {
+            throw new NotFoundError('Pending authenticator', identifier);
+        }
+
+        const counter = await checkAuthenticatorCode(identifier, enrollment, otp);
+
+        if (counter === null) {
+            return rejectAuthenticator(res, identifier, 'Invalid authenticator code');
+        }
+
+        await store.setAuthenticator(identifier, { ...enrollment, lastCounter: counter, confirmed: true });
+        const recoveryCodes = await issueRecoveryCodes(identifier);
+
+        console.log(`Authenticator (${enrollment.type}) enrolled for ${identifier}`);
+
+        return res.api.success({ type: enrollment.type, recoveryCodes }, 'Authenticator enrolled successfully');
+    };
+
+    /**
+     * Verify a code from an authenticator app, or a recovery code
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @throws {NotFoundError} If no authenticator is enrolled
+     * @throws {ValidationError} If the code is wrong or was used before
+     */
+    const verifyAuthenticator = async (req, res) => {
+        const { identifier } = req.body;
+
+        const lockedFor = await store.getLockTtl(getAuthenticatorLockKey(identifier));
+        if (lockedFor) {
+            return tooMany(res, LOCKED_OUT_MESSAGE, lockedFor);
+        }
+
+        const method = await authenticate(identifier, req.body);
+
+        if (!method) {
+            return rejectAuthenticator(res, identifier, req.body.otp ? 'Invalid authenticator code' : 'Invalid recovery code');
+        }
+
+        const data = { method };
+        if (method === 'recovery-code') {
+            data.recoveryCodesLeft = (await store.getRecoveryCodes(identifier)).length;
+        }
+
+        console.log(`Authenticator verified for ${identifier} (${method})`);
+
+        return res.api.success(data, 'Authenticator verified successfully');
+    };
+
+    /**
+     * Replace the recovery codes, authorized by a code from the authenticator app
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @throws {NotFoundError} If no authenticator is enrolled
+     * @throws {ValidationError} If the code is wrong or was used before
+     */
+    const regenerateRecoveryCodes = async (req, res) => {
+        const { identifier } = req.body;
+
+        const lockedFor = await store.getLockTtl(getAuthenticatorLockKey(identifier));
+        if (lockedFor) {
+            return tooMany(res, LOCKED_OUT_MESSAGE, lockedFor);
+        }
+
+        if (!await authenticate(identifier, req.body)) {
+            return rejectAuthenticator(res, identifier, 'Invalid authenticator code');
+        }
+
+        const recoveryCodes = await issueRecoveryCodes(identifier);
+
+        console.log(`Recovery codes regenerated for ${identifier}`);
+
+        return res.api.success({ recoveryCodes }, 'Recovery codes regenerated successfully');
+    };
+
+    /**
+     * Remove an authenticator, authorized by a code from the app or a recovery code
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @throws {NotFoundError} If no authenticator is enrolled
+     * @throws {ValidationError} If the code is wrong or was used before
+     */
+    const disableAuthenticator = async (req, res) => {
+        const { identifier } = req.body;
+
+        const lockedFor = await store.getLockTtl(getAuthenticatorLockKey(identifier));
+        if (lockedFor) {
+            return tooMany(res, LOCKED_OUT_MESSAGE, lockedFor);
+        }
+
+        if (!await authenticate(identifier, req.body)) {
+            return rejectAuthenticator(res, identifier, req.body.otp ? 'Invalid authenticator code' : 'Invalid recovery code');
+        }
+
+        await store.deleteAuthenticator(identifier);
+
+        console.log(`Authenticator removed for ${identifier}`);
+
+        return res.api.success(null, 'Authenticator removed successfully');
+    };
+
+    return {
+        issueOtp,
+        checkOtp,
+        generateOTP,
+        verifyOTP,
+        enrollAuthenticator,
+        confirmAuthenticator,
+        verifyAuthenticator,
+        regenerateRecoveryCodes,
+        disableAuthenticator
+    };
 };
 
-module.exports = {
-    generateOTP,
-    verifyOTP
-}; 
\ No newline at end of file
+module.exports = createOtpController;
@@ -0,0 +1,215 @@
+/**
+ * Registry Controller
+ * Exposes a ServiceRegistry over HTTP so services in other processes can
+ * register, send heartbeats and discover each other
+ */
+
+const semver = require('semver');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Registry events forwarded to watchers
+const REGISTRY_EVENTS = ['registered', 'unregistered', 'expired', 'health-changed'];
+
+// Interval for keep-alive comments on idle watch streams
+const WATCH_KEEP_ALIVE_INTERVAL = 15000;
+
+/**
+ * Check an optional semver range from the query string
+ * @param {string} range - Range to check
+ * @throws {ValidationError} If the range is not a valid semver range
+ */
+const assertValidRange = (range) => {
+    if (range && !semver.validRange(range)) {
+        throw new ValidationError('Invalid version range', [{ field: 'range', message: `"${range}" is not a valid semver range` }]);
+    }
+};
+
+/**
+ * Error for an instance that is not (or no longer) registered
+ * @param {Object} params - Route params with name, host and port
+ * @returns {NotFoundError} Error to throw
+ */
+const notRegistered = ({ name, host, port }) => new NotFoundError('Service', `${name} at ${host}:${port}`);
+
+/**
+ * Create registry request handlers bound to a registry instance
+ * @param {ServiceRegistry} registry - Registry that stores the services
+ * @returns {Object} Request handlers
+ */
+const createRegistryController = (registry) => {
+    // Open watch streams, so they can be ended on shutdown
+    const watchers = new Set();
+
+    /**
+     * Register a service instance
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    const register = (req, res) => {
+        const { name, host, port, metadata } = req.body || {};
+
+        if (!name || !host || !port) {
+            throw new ValidationError('Service registration requires name, host, and port');
+        }
+
+        // Throws a ValidationError for an invalid version
+        const service = registry.register(name, host, parseInt(port), metadata || {});
+
+        return res.api.created(service, 'Service registered');
+    };
+
+    /**
+     * Unregister a service instance
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    const unregister = (req, res) => {
+        const { name, host, port } = req.params;
+
+        if (!registry.unregister(name, host, parseInt(port))) {
+            throw notRegistered(req.params);
+        }
+
+        return res.api.deleted('Service unregistered');
+    };
+
+    /**
+     * Renew the registration timestamp of a service instance
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    const heartbeat = (req, res) => {
+        const { name, host, port } = req.params;
+        const service = registry.heartbeat(name, host, parseInt(port));
+
+        if (!service) {
+            throw notRegistered(req.params);
+        }
+
+        return res.api.success(service, 'Heartbeat received');
+    };
+
+    /**
+     * List all registered service instances
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    const getAll = (req, res) => {
+        return res.api.success(registry.getAll());
+    };
+
+    /**
+     * List live instances of a service
+     * Pass ?range= to only list instances whose version satisfies a semver range
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    const findAll = (req, res) => {
+        assertValidRange(req.query.range);
+
+        return res.api.success(registry.findAll(req.params.name, req.query.range));
+    };
+
+    /**
+     * Pick one live instance of a service
+     * Pass ?range= to match a semver range and ?key= to route sticky requests
+     * with the consistent hash strategy
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    const find = (req, res) => {
+        assertValidRange(req.query.range);
+
+        const service = registry.find(req.params.name, req.query.range, { key: req.query.key });
+
+        if (!service) {
+            throw new NotFoundError('Instance of service', req.params.name);
+        }
+
+        // Remote callers cannot report when they are done, so do not count them as outstanding
+        registry.release(service);
+
+        return res.api.success(service);
+    };
+
+    /**
+     * Stream registry changes as Server-Sent Events
+     * Sends a `snapshot` event with all services first, then one event per change.
+     * Once the headers are sent an error can no longer become an error response,
+     * so it ends the stream instead and the client reconnects.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    const watch = (req, res) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.flushHeaders();
+
+        let keepAlive = null;
+        let listeners = [];
+
+        const stop = () => {
+            watchers.delete(res);
+            clearInterval(keepAlive);
+            listeners.forEach(([event, listener]) => registry.off(event, listener));
+            listeners = [];
+        };
+
+        const send = (event, data) => {
+            try {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            } catch (error) {
+                // Thrown from a registry listener, it must not reach the code that emitted the event
+                console.error(`Failed to send ${event} to registry watcher:`, error.message);
+                stop();
+                res.end();
+            }
+        };
+
+        listeners = REGISTRY_EVENTS.map(event => {
+            const listener = (data) => send(event, data);
+            registry.on(event, listener);
+            return [event, listener];
+        });
+
+        keepAlive = setInterval(() => {
+            res.write(': keep-alive\n\n');
+        }, WATCH_KEEP_ALIVE_INTERVAL);
+
+        watchers.add(res);
+        req.on('close', stop);
+
+        try {
+            send('snapshot', registry.getAll());
+        } catch (error) {
+            console.error('Failed to send registry snapshot to watcher:', error.message);
+            stop();
+            res.end();
+        }
+    };
+
+    /**
+     * End all open watch streams
+     * Open streams would otherwise keep the HTTP server from closing
+     */
+    const closeWatchers = () => {
+        watchers.forEach(res => res.end());
+        watchers.clear();
+    };
+
+    return {
+        watch,
+        closeWatchers,
+        register,
+        unregister,
+        heartbeat,
+        getAll,
+        findAll,
+        find
+    };
+};
+
+module.exports = createRegistryController;
@@ -15,12 +15,17 @@ if (args.length < 1) {
 
 let serviceName;
 let port;
+let version;
 let env = 'development';
 
 
 args.forEach(arg => {
     if (arg.startsWith('-s=')) {
         serviceName = arg.substring(3).toLowerCase();
+    } else if (arg.startsWith('-p=')) {
+        port = parseInt(arg.substring(3));
+    } else if (arg.startsWith('-v=')) {
+        version = arg.substring(3);
     } else if (arg.startsWith('-e=')) {
         env = arg.substring(3).toLowerCase();
     }
@@ -41,8 +46,10 @@ async function main() {
     try {
         console.log(`Starting ${serviceName} service in ${env} environment${port ? ` on port ${port}` : ''}`);
 
+        // Only pass the port when given so service defaults are not overridden with undefined
         const service = await serviceFactory.createService(serviceName, {
-            port,
+            ...(port ? { port } : {}),
+            ...(version ? { version } : {}),
             env,
         });
 
@@ -54,12 +61,16 @@ async function main() {
             // Print registry status if available
             const registry = serviceFactory.getRegistry();
             if (registry) {
-                const services = registry.getAll();
-                if (services.length > 0) {
-                    console.log('Registered services:');
-                    services.forEach(svc => {
-                        console.log(`- ${svc.name}@${svc.version} (${svc.host}:${svc.port})`);
-                    });
+                try {
+                    const services = await registry.getAll();
+                    if (services.length > 0) {
+                        console.log('Registered services:');
+                        services.forEach(svc => {
+                            console.log(`- ${svc.name}@${svc.version} (${svc.host}:${svc.port})`);
+                        });
+                    }
+                } catch (error) {
+                    console.warn('Could not list registered services:', error.message);
                 }
             }
         } else {
@@ -0,0 +1,13 @@
+/**
+ * Wrap a route handler so a rejected promise reaches the error middleware
+ * Express 4 only catches errors thrown synchronously.
+ * @param {Function} handler - Route handler, may be async
+ * @returns {Function} Express middleware
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve()
+        .then(() => handler(req, res, next))
+        .catch(next);
+};
+
+module.exports = asyncHandler;
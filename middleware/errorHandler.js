@@ -0,0 +1,53 @@
+const { StatusCodes } = require('http-status-codes');
+const Response = require('../utils/response');
+const { formatErrorResponse } = require('../utils/errors');
+
+/**
+ * Answer requests that no route handled
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const notFoundHandler = (req, res) => {
+    return res.api.notFound('Resource not found', { path: req.path });
+};
+
+/**
+ * Error handler middleware for Express
+ * Sends errors through the Response envelope with the status code and code
+ * of CustomErrors (see utils/errors.js). Stacks of unexpected errors are only
+ * included outside production.
+ * @param {Error} err - Error object
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const errorHandler = (err, req, res, next) => {
+    // Let Express close the connection if the response is already underway
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const { statusCode, code, message, errors } = formatErrorResponse(err);
+
+    if (statusCode >= StatusCodes.INTERNAL_SERVER_ERROR) {
+        console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+    } else {
+        console.warn(`${req.method} ${req.originalUrl} failed with ${statusCode}: ${message}`);
+    }
+
+    const details = errors || (
+        statusCode >= StatusCodes.INTERNAL_SERVER_ERROR && process.env.NODE_ENV !== 'production' && err && err.stack
+            ? { stack: err.stack }
+            : null
+    );
+
+    // Errors raised before the response handler middleware ran
+    const api = res.api || new Response(res);
+
+    return api.error(message, statusCode, details, code);
+};
+
+module.exports = {
+    notFoundHandler,
+    errorHandler
+};
@@ -1,8 +1,16 @@
 const Response = require('../utils/response');
 
-const responseHandler = (req, res, next) => {
-    res.api = new Response(res);
+/**
+ * Create a middleware that attaches the Response helper to res.api
+ * @param {Object} options - Response options (errorFormat, problemTypeBaseUrl)
+ * @returns {Function} Express middleware
+ */
+const createResponseHandler = (options = {}) => (req, res, next) => {
+    res.api = new Response(res, options);
     next();
 };
 
-module.exports = responseHandler; 
\ No newline at end of file
+const responseHandler = createResponseHandler();
+
+module.exports = responseHandler;
+module.exports.createResponseHandler = createResponseHandler;
@@ -0,0 +1,52 @@
+const { formatJoiErrors } = require('../utils/validation');
+
+// Checked in this order; all failures are reported together
+const SOURCES = ['params', 'query', 'headers', 'body'];
+
+/**
+ * Validate request data against Joi schemas
+ * Unknown fields are stripped from params, query and body, and the validated
+ * values (with Joi conversions and defaults) replace the originals. Headers
+ * are only checked, since requests carry many headers a schema does not list.
+ * Invalid requests get a 400 through res.api.badRequest with one
+ * { field, message, location } entry per failure.
+ * @param {Object} schemas - Joi schemas by request property
+ * @param {Object} schemas.body - Schema for req.body
+ * @param {Object} schemas.params - Schema for req.params
+ * @param {Object} schemas.query - Schema for req.query
+ * @param {Object} schemas.headers - Schema for req.headers
+ * @returns {Function} Express middleware
+ */
+const validate = (schemas = {}) => {
+    const unknownSource = Object.keys(schemas).find(source => !SOURCES.includes(source));
+    if (unknownSource) {
+        throw new Error(`Cannot validate request ${unknownSource}, expected one of ${SOURCES.join(', ')}`);
+    }
+
+    return (req, res, next) => {
+        const errors = [];
+        const values = {};
+
+        SOURCES.filter(source => schemas[source]).forEach(source => {
+            const options = source === 'headers'
+                ? { abortEarly: false, allowUnknown: true }
+                : { abortEarly: false, stripUnknown: true };
+            const { value, error } = schemas[source].validate(req[source] || {}, options);
+
+            if (error) {
+                errors.push(...formatJoiErrors(error).map(item => ({ ...item, location: source })));
+            } else if (source !== 'headers') {
+                values[source] = value;
+            }
+        });
+
+        if (errors.length > 0) {
+            return res.api.badRequest('Validation failed', errors);
+        }
+
+        Object.assign(req, values);
+        next();
+    };
+};
+
+module.exports = validate;
@@ -1,9 +1,12 @@
 const express = require('express');
 const helloController = require('../controllers/helloController');
+const helloValidator = require('../validators/hello.validator');
+const validate = require('../middleware/validate');
+const asyncHandler = require('../middleware/asyncHandler');
 
 const router = express.Router();
 
-router.get('/', helloController.getHello);
-router.get('/:name', helloController.getHelloWithName);
+router.get('/', asyncHandler(helloController.getHello));
+router.get('/:name', validate(helloValidator.getHelloWithName), asyncHandler(helloController.getHelloWithName));
 
 module.exports = router;
\ No newline at end of file
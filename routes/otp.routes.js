@@ -1,9 +1,26 @@
 const express = require('express');
-const otpController = require('../controllers/otpController');
+const otpValidator = require('../validators/otp.validator');
+const validate = require('../middleware/validate');
+const asyncHandler = require('../middleware/asyncHandler');
 
-const router = express.Router();
+/**
+ * Create the HTTP routes for OTP generation and verification and for authenticator apps
+ * @param {Object} otpController - Handlers from createOtpController, shared with the otp.requests consumer
+ * @returns {express.Router} OTP router
+ */
+const createOtpRouter = (otpController) => {
+    const router = express.Router();
 
-router.post('/generate', otpController.generateOTP);
-router.post('/verify', otpController.verifyOTP);
+    router.post('/generate', validate(otpValidator.generateOTP), asyncHandler(otpController.generateOTP));
+    router.post('/verify', validate(otpValidator.verifyOTP), asyncHandler(otpController.verifyOTP));
 
-module.exports = router;
\ No newline at end of file
+    router.post('/authenticator/enroll', validate(otpValidator.enrollAuthenticator), asyncHandler(otpController.enrollAuthenticator));
+    router.post('/authenticator/confirm', validate(otpValidator.confirmAuthenticator), asyncHandler(otpController.confirmAuthenticator));
+    router.post('/authenticator/verify', validate(otpValidator.verifyAuthenticator), asyncHandler(otpController.verifyAuthenticator));
+    router.post('/authenticator/recovery-codes', validate(otpValidator.regenerateRecoveryCodes), asyncHandler(otpController.regenerateRecoveryCodes));
+    router.post('/authenticator/disable', validate(otpValidator.disableAuthenticator), asyncHandler(otpController.disableAuthenticator));
+
+    return router;
+};
+
+module.exports = createOtpRouter;
\ No newline at end of file
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const createRegistryController = require('../controllers/registryController');
+const asyncHandler = require('../middleware/asyncHandler');
+const { AuthenticationError } = require('../utils/errors');
+
+// Header the registry token is sent in, see RegistryClient
+const TOKEN_HEADER = 'x-registry-token';
+
+/**
+ * Check whether an address is the local host
+ * @param {string} address - Socket remote address
+ * @returns {boolean} True for IPv4 and IPv6 loopback addresses
+ */
+const isLoopback = (address = '') => address === '::1' || /^(::ffff:)?127\./.test(address);
+
+/**
+ * Create a middleware that only lets registry writes through with the shared token
+ * Without a token, writes are only accepted from the local host. The socket
+ * address is used rather than req.ip, which a forwarded header can set.
+ * @param {string} token - Shared registry token
+ * @returns {Function} Express middleware
+ */
+const requireRegistryToken = (token) => {
+    // Compared as digests, so the comparison takes as long whatever the length
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    const expected = token ? digest(token) : null;
+
+    return (req, res, next) => {
+        const provided = req.get(TOKEN_HEADER);
+
+        if (expected ? provided && crypto.timingSafeEqual(digest(provided), expected) : isLoopback(req.socket.remoteAddress)) {
+            return next();
+        }
+
+        return next(new AuthenticationError('Invalid or missing registry token'));
+    };
+};
+
+/**
+ * Create the HTTP routes for a service registry
+ * @param {ServiceRegistry} registry - Registry to expose
+ * @param {Object} options - Router options
+ * @param {string} options.token - Shared token registrations, heartbeats and removals must send in
+ * the X-Registry-Token header, only the local host may write without one
+ * @param {Object} options.rateLimit - windowMs and max requests per client IP
+ * @returns {express.Router} Registry router
+ */
+const createRegistryRouter = (registry, options = {}) => {
+    const router = express.Router();
+    const registryController = createRegistryController(registry);
+    const canWrite = requireRegistryToken(options.token);
+
+    if (!options.token) {
+        console.warn('No registry token set, registry writes are only accepted from the local host');
+    }
+
+    if (options.rateLimit) {
+        router.use(rateLimit({
+            windowMs: options.rateLimit.windowMs,
+            limit: options.rateLimit.max,
+            standardHeaders: 'draft-7',
+            legacyHeaders: false,
+            handler: (req, res) => {
+                res.api.tooMany('Too many registry requests, please try again later');
+            }
+        }));
+    }
+
+    router.use(express.json());
+
+    router.get('/watch', asyncHandler(registryController.watch));
+    router.get('/services', asyncHandler(registryController.getAll));
+    router.post('/services', canWrite, asyncHandler(registryController.register));
+    router.get('/services/:name', asyncHandler(registryController.findAll));
+    router.get('/services/:name/instance', asyncHandler(registryController.find));
+    router.put('/services/:name/:host/:port/heartbeat', canWrite, asyncHandler(registryController.heartbeat));
+    router.delete('/services/:name/:host/:port', canWrite, asyncHandler(registryController.unregister));
+
+    // Lets the owning service end watch streams before closing its server
+    router.closeWatchers = registryController.closeWatchers;
+
+    return router;
+};
+
+module.exports = createRegistryRouter;
@@ -28,18 +28,21 @@ const services = [
     {
         name: 'api-gateway',
         port: parseInt(process.env.PORT || process.env.GATEWAY_PORT || '3000'),
+        version: process.env.GATEWAY_VERSION || '1.0.0',
         color: '\x1b[36m',
         required: true
     },
     {
         name: 'api',
         port: parseInt(process.env.API_PORT || '3001'),
+        version: process.env.API_VERSION || '1.0.0',
         color: '\x1b[32m',
         required: true
     },
     {
         name: 'otp',
         port: parseInt(process.env.OTP_PORT || '3002'),
+        version: process.env.OTP_VERSION || '1.0.0',
         color: '\x1b[33m',
         required: false
     }
@@ -87,6 +90,10 @@ console.log('---------------------------------------------------');
 const children = [];
 let startupErrors = 0;
 
+// Services find each other through the registry hosted by the API Gateway
+const gateway = servicesToStart.find(s => s.name === 'api-gateway');
+const registryUrl = process.env.REGISTRY_URL || (gateway ? `http://localhost:${gateway.port}/registry` : undefined);
+
 servicesToStart.forEach(service => {
     try {
         const args = [
@@ -94,7 +101,7 @@ servicesToStart.forEach(service => {
             `-s=${service.name}`,
             `-p=${service.port}`,
             `-e=${isDev ? 'development' : 'production'}`,
-            '-v=1.0.0'
+            `-v=${service.version}`
         ];
 
         const child = spawn('node', args, {
@@ -103,7 +110,8 @@ servicesToStart.forEach(service => {
             detached: false,
             env: {
                 ...process.env,
-                PORT: service.port.toString()
+                PORT: service.port.toString(),
+                ...(registryUrl ? { REGISTRY_URL: registryUrl } : {})
             }
         });
 
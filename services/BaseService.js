@@ -1,28 +1,71 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { ServiceError, ValidationError } = require('../utils/errors');
+const { formatJoiErrors } = require('../utils/validation');
 
 class BaseService {
     /**
      * Create a new BaseService
      * @param {Object} options - Service configuration options
      * @param {string} options.name - Service name
+     * @param {string} options.version - Service version (semver)
      * @param {number} options.port - Port to run the service on
+     * @param {Object} options.broker - Message broker, emits connected/disconnected when the channel changes
      * @param {Object} options.connection - Message broker connection
      * @param {Object} options.channel - Message broker channel
      * @param {string} options.configPath - Path to service configuration file
      * @param {string} options.env - Environment (development, production, etc.)
      * @param {Object} options.registry - Service registry instance
+     * @param {number} options.heartbeatInterval - Interval in ms between registry heartbeats
+     * @param {number} options.shutdownTimeout - Time in ms to wait for a graceful shutdown
+     * @param {number} options.requestTimeout - Default time in ms to wait for a reply to request()
+     * @param {Object} options.retryPolicy - Default retry policy for consumeFromQueue
+     * @param {Object} options.outbox - Outbox for messages that cannot be published (see brokers/FileOutbox)
+     * @param {number} options.publishTimeout - Time in ms to wait for a drain or a publisher confirm
+     * @param {number} options.consumerPrefetch - Default prefetch for consumeFromQueue
+     * @param {number} options.drainTimeout - Time in ms to wait for running message handlers on stop
      */
     constructor(options = {}) {
         this.name = options.name || 'unknown-service';
+        this.version = options.version || '1.0.0';
         this.port = options.port || 3000;
+        this.broker = options.broker;
         this.connection = options.connection;
         this.channel = options.channel;
+        this.brokerInitialized = false;
         this.configPath = options.configPath;
         this.env = options.env || 'development';
         this.registry = options.registry;
         this.registryInfo = null;
+        this.registryMetadata = {};
+        this.heartbeatInterval = options.heartbeatInterval || parseInt(process.env.REGISTRY_HEARTBEAT_INTERVAL || '10000');
+        this.heartbeatTimer = null;
         this.isRunning = false;
+        this.isShuttingDown = false;
+        this.shutdownTimeout = options.shutdownTimeout || 10000;
         this.queues = {};
+        this.queueOptions = {};
         this.exchanges = {};
+        this.requestTimeout = options.requestTimeout || parseInt(process.env.RPC_TIMEOUT || '10000');
+        this.replyQueue = null;
+        this.pendingRequests = new Map();
+        this.retryPolicy = {
+            maxAttempts: parseInt(process.env.MESSAGE_MAX_ATTEMPTS || '3'),
+            initialDelay: parseInt(process.env.MESSAGE_RETRY_DELAY || '1000'),
+            multiplier: parseFloat(process.env.MESSAGE_RETRY_MULTIPLIER || '2'),
+            maxDelay: parseInt(process.env.MESSAGE_RETRY_MAX_DELAY || '60000'),
+            ...options.retryPolicy
+        };
+        this.deadLetterQueues = {};
+        this.bindings = [];
+        this.subscriptions = {};
+        this.consumers = [];
+        this.outbox = options.outbox || null;
+        this.publishTimeout = options.publishTimeout || parseInt(process.env.PUBLISH_TIMEOUT || '5000');
+        this.publishMetrics = { published: 0, failed: 0, inFlight: 0, outboxed: 0, flushed: 0 };
+        this.consumerPrefetch = options.consumerPrefetch || parseInt(process.env.CONSUMER_PREFETCH || '10');
+        this.drainTimeout = options.drainTimeout || parseInt(process.env.CONSUMER_DRAIN_TIMEOUT || '5000');
+        this.activeHandlers = new Set();
 
         // Bind methods to this instance
         this.start = this.start.bind(this);
@@ -31,8 +74,22 @@ class BaseService {
         this.registerExchange = this.registerExchange.bind(this);
         this.publishToQueue = this.publishToQueue.bind(this);
         this.consumeFromQueue = this.consumeFromQueue.bind(this);
+        this.request = this.request.bind(this);
+        this.respond = this.respond.bind(this);
+        this.respondError = this.respondError.bind(this);
+        this.publishEvent = this.publishEvent.bind(this);
+        this.subscribe = this.subscribe.bind(this);
+        this.bindQueue = this.bindQueue.bind(this);
+        this.inspectDeadLetters = this.inspectDeadLetters.bind(this);
+        this.replayDeadLetters = this.replayDeadLetters.bind(this);
+        this.flushOutbox = this.flushOutbox.bind(this);
+        this.getPublishMetrics = this.getPublishMetrics.bind(this);
         this.registerWithRegistry = this.registerWithRegistry.bind(this);
         this.unregisterFromRegistry = this.unregisterFromRegistry.bind(this);
+        this.sendHeartbeat = this.sendHeartbeat.bind(this);
+        this._onBrokerConnected = this._onBrokerConnected.bind(this);
+        this._onBrokerDisconnected = this._onBrokerDisconnected.bind(this);
+        this._onBrokerReconnectFailed = this._onBrokerReconnectFailed.bind(this);
 
         console.log(`[${this.name}] Service instance created`);
     }
@@ -47,6 +104,9 @@ class BaseService {
 
             console.log(`[${this.name}] Starting service on port ${this.port}`);
 
+            // Follow channel changes so the topology is restored after a reconnect
+            this._watchBroker();
+
             // Initialize message broker if available
             if (this.connection && this.channel) {
                 await this._initializeBroker();
@@ -54,7 +114,16 @@ class BaseService {
 
             // Register with service registry if available
             if (this.registry && this.port > 0) {
-                await this.registerWithRegistry();
+                try {
+                    await this.registerWithRegistry();
+                } catch (error) {
+                    // A remote registry may not be up yet, the heartbeat retries the registration
+                    if (!this.registry.remote) {
+                        throw error;
+                    }
+                    console.warn(`[${this.name}] Registry unavailable, retrying on next heartbeat`);
+                }
+                this._startHeartbeat();
             }
 
             // Register for process events for graceful shutdown
@@ -78,6 +147,8 @@ class BaseService {
 
             console.log(`[${this.name}] Stopping service`);
 
+            this._stopHeartbeat();
+
             // Unregister from service registry if registered
             if (this.registry && this.registryInfo) {
                 await this.unregisterFromRegistry();
@@ -104,15 +175,17 @@ class BaseService {
 
             // Get hostname - in production, this would be the actual hostname or IP
             const hostname = process.env.SERVICE_HOST || 'localhost';
+            this.registryMetadata = { ...this.registryMetadata, ...metadata };
 
             // Register service
-            this.registryInfo = this.registry.register(
+            this.registryInfo = await this.registry.register(
                 this.name,
                 hostname,
                 this.port,
                 {
                     env: this.env,
-                    ...metadata
+                    version: this.version,
+                    ...this.registryMetadata
                 }
             );
 
@@ -133,7 +206,7 @@ class BaseService {
             }
 
             const { name, host, port } = this.registryInfo;
-            const result = this.registry.unregister(name, host, port);
+            const result = await this.registry.unregister(name, host, port);
 
             if (result) {
                 this.registryInfo = null;
@@ -147,6 +220,28 @@ class BaseService {
         }
     }
 
+    async sendHeartbeat() {
+        try {
+            if (!this.registryInfo) {
+                return await this.registerWithRegistry();
+            }
+
+            const { name, host, port } = this.registryInfo;
+            const service = await this.registry.heartbeat(name, host, port);
+
+            // The registry lost or expired this instance (e.g. it restarted), so register again
+            if (!service) {
+                console.log(`[${this.name}] Registration expired, registering again`);
+                return await this.registerWithRegistry();
+            }
+
+            return service;
+        } catch (error) {
+            console.error(`[${this.name}] Failed to send heartbeat to service registry:`, error.message);
+            return null;
+        }
+    }
+
     async registerQueue(queueName, options = {}) {
         try {
             if (!this.channel) {
@@ -159,6 +254,7 @@ class BaseService {
             });
 
             this.queues[queueName] = queue;
+            this.queueOptions[queueName] = options;
             console.log(`[${this.name}] Registered queue: ${queueName}`);
 
             return queue;
@@ -180,7 +276,7 @@ class BaseService {
                 ...options
             });
 
-            this.exchanges[exchangeName] = { name: exchangeName, type };
+            this.exchanges[exchangeName] = { name: exchangeName, type, options };
             console.log(`[${this.name}] Registered exchange: ${exchangeName} (${type})`);
 
             return this.exchanges[exchangeName];
@@ -191,76 +287,292 @@ class BaseService {
     }
 
 
+    /**
+     * Publish a message to a queue
+     * With a confirm channel this waits for the broker to accept the message. When
+     * the message cannot be published and an outbox is configured, it is stored
+     * and published once the broker is back.
+     * @param {string} queueName - Queue name
+     * @param {*} message - Message payload
+     * @param {Object} options - Publish options, passed on to the channel
+     * @param {Object} options.schema - Joi schema or MessageSchemaRegistry the message must match
+     * @param {boolean} options.outbox - False to throw instead of storing the message in the outbox,
+     * for messages that must not be written to disk or published late
+     * @returns {Promise<boolean>} True if published, false if stored in the outbox
+     * @throws {ValidationError} If the message does not match the schema
+     */
     async publishToQueue(queueName, message, options = {}) {
+        try {
+            const { schema, outbox = true, ...publishOptions } = options;
+            const payload = schema ? this._validateMessage(schema, message, publishOptions) : message;
+            const content = Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload));
+
+            const result = await this._publishOrStore('', queueName, content, {
+                persistent: true,
+                ...publishOptions
+            }, outbox);
+
+            if (result) {
+                console.log(`[${this.name}] Published message to queue: ${queueName}`);
+            }
+            return result;
+        } catch (error) {
+            console.error(`[${this.name}] Failed to publish to queue ${queueName}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Publish an event to a topic exchange
+     * @param {string} exchangeName - Topic exchange name (e.g. otp.events)
+     * @param {string} routingKey - Event routing key (e.g. otp.verified)
+     * @param {*} payload - Event payload
+     * @param {Object} options - Publish options, passed on to the channel
+     * @param {Object} options.schema - Joi schema or MessageSchemaRegistry the payload must match
+     * @returns {Promise<boolean>} True if published, false if stored in the outbox
+     * @throws {ValidationError} If the payload does not match the schema
+     */
+    async publishEvent(exchangeName, routingKey, payload, options = {}) {
+        try {
+            const { schema, ...eventOptions } = options;
+            const properties = {
+                persistent: true,
+                contentType: 'application/json',
+                messageId: uuidv4(),
+                timestamp: Date.now(),
+                type: routingKey,
+                appId: this.name,
+                ...eventOptions
+            };
+            const event = schema ? this._validateMessage(schema, payload, properties) : payload;
+            const content = Buffer.from(typeof event === 'string' ? event : JSON.stringify(event));
+
+            const result = await this._publishOrStore(exchangeName, routingKey, content, properties);
+
+            if (result) {
+                console.log(`[${this.name}] Published event ${routingKey} to exchange: ${exchangeName}`);
+            }
+            return result;
+        } catch (error) {
+            console.error(`[${this.name}] Failed to publish event ${routingKey} to ${exchangeName}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Subscribe to events on a topic exchange
+     * Each service gets its own durable queue per exchange and pattern, so every
+     * subscribing service receives its own copy of each event, and events published
+     * while the service is down are delivered once it is back.
+     * @param {string} exchangeName - Topic exchange name
+     * @param {string} pattern - Routing key pattern (e.g. otp.* or otp.#)
+     * @param {Function} handler - Handler called with (payload, msg)
+     * @param {Object} options - Options for consumeFromQueue
+     * @param {string} options.queue - Queue name, defaults to <service>.<exchange>.<pattern>
+     * @returns {Promise<Object>} Queue name and consumer tag
+     */
+    async subscribe(exchangeName, pattern, handler, options = {}) {
         try {
             if (!this.channel) {
                 throw new Error('Message broker channel not available');
             }
 
-            // Ensure queue exists
-            if (!this.queues[queueName]) {
-                await this.registerQueue(queueName);
+            const { queue: queueOption, ...consumeOptions } = options;
+            const queueName = queueOption || `${this.name}.${exchangeName}.${pattern}`;
+
+            if (!this.exchanges[exchangeName]) {
+                await this.registerExchange(exchangeName, 'topic');
             }
 
-            const content = Buffer.from(typeof message === 'string' ? message : JSON.stringify(message));
+            await this.registerQueue(queueName);
+            await this.bindQueue(queueName, exchangeName, pattern);
 
-            const result = this.channel.sendToQueue(queueName, content, {
-                persistent: true,
-                ...options
-            });
+            const { consumerTag } = await this.consumeFromQueue(queueName, handler, consumeOptions);
 
-            console.log(`[${this.name}] Published message to queue: ${queueName}`);
-            return result;
+            this.subscriptions[queueName] = { exchange: exchangeName, pattern, consumerTag };
+            console.log(`[${this.name}] Subscribed to ${exchangeName} (${pattern}) on queue: ${queueName}`);
+
+            return { queue: queueName, consumerTag };
         } catch (error) {
-            console.error(`[${this.name}] Failed to publish to queue ${queueName}:`, error);
+            console.error(`[${this.name}] Failed to subscribe to ${exchangeName} (${pattern}):`, error);
+            throw error;
+        }
+    }
+
+    async bindQueue(queueName, exchangeName, pattern) {
+        try {
+            if (!this.channel) {
+                throw new Error('Message broker channel not available');
+            }
+
+            await this.channel.bindQueue(queueName, exchangeName, pattern);
+
+            const exists = this.bindings.some(binding =>
+                binding.queue === queueName && binding.exchange === exchangeName && binding.pattern === pattern);
+            if (!exists) {
+                this.bindings.push({ queue: queueName, exchange: exchangeName, pattern });
+            }
+
+            console.log(`[${this.name}] Bound queue ${queueName} to ${exchangeName} (${pattern})`);
+        } catch (error) {
+            console.error(`[${this.name}] Failed to bind queue ${queueName} to ${exchangeName}:`, error);
             throw error;
         }
     }
 
+    /**
+     * Consume messages from a queue
+     * Failed messages are retried with an exponential delay through TTL retry
+     * queues (`<queue>.retry.<delay>`) and, once `maxAttempts` is reached, sent to
+     * the dead-letter queue `<queue>.dead` through the `<queue>.dlx` exchange.
+     * @param {string} queueName - Queue name
+     * @param {Function} callback - Handler called with (content, msg)
+     * @param {Object} options - Consumer options, passed on to the channel
+     * @param {number} options.prefetch - Unacknowledged messages the broker may send this consumer
+     * @param {number} options.concurrency - Messages handled in parallel, defaults to the prefetch
+     * @param {Object} options.schema - Joi schema or MessageSchemaRegistry; messages that do not
+     *   match are dead-lettered right away with the validation errors in `x-validation-errors`
+     * @param {Object|boolean} options.retry - Retry policy overrides, false to requeue failed messages forever
+     * @param {number} options.retry.maxAttempts - Attempts before dead-lettering
+     * @param {number} options.retry.initialDelay - Delay in ms before the first retry
+     * @param {number} options.retry.multiplier - Factor applied to the delay for every retry
+     * @param {number} options.retry.maxDelay - Upper bound for the delay in ms
+     * @returns {Promise<Object>} Consumer tag
+     */
     async consumeFromQueue(queueName, callback, options = {}) {
         try {
             if (!this.channel) {
                 throw new Error('Message broker channel not available');
             }
 
+            const { retry, prefetch, concurrency, schema, ...consumeOptions } = options;
+            const retryPolicy = retry === false ? null : { ...this.retryPolicy, ...retry };
+            const prefetchCount = prefetch || concurrency || this.consumerPrefetch;
+
             // Ensure queue exists
             if (!this.queues[queueName]) {
                 await this.registerQueue(queueName);
             }
 
-            const { consumerTag } = await this.channel.consume(
-                queueName,
-                async (msg) => {
-                    if (msg === null) {
-                        console.log(`[${this.name}] Consumer cancelled by server`);
-                        return;
-                    }
+            if (retryPolicy || schema) {
+                await this._setupDeadLettering(queueName);
+            }
+
+            // Deliveries must be settled on the channel they arrived on
+            const channel = this.channel;
+            const consumer = {
+                queue: queueName,
+                callback,
+                options,
+                consumerTag: null,
+                channel,
+                concurrency: concurrency || prefetchCount,
+                running: 0,
+                // Deliveries waiting for a free slot
+                backlog: [],
+                cancelled: false
+            };
+
+            const handleMessage = async (msg) => {
+                try {
+                    // Parse message content
+                    const content = msg.content.toString();
+                    let parsedContent;
 
                     try {
-                        // Parse message content
-                        const content = msg.content.toString();
-                        let parsedContent;
+                        parsedContent = JSON.parse(content);
+                    } catch (err) {
+                        parsedContent = content;
+                    }
 
+                    // Retrying cannot fix an invalid message, so it skips the retry policy
+                    if (schema) {
                         try {
-                            parsedContent = JSON.parse(content);
-                        } catch (err) {
-                            parsedContent = content;
+                            parsedContent = this._validateMessage(schema, parsedContent, msg.properties);
+                        } catch (validationError) {
+                            if (channel === this.channel) {
+                                this._rejectInvalidMessage(queueName, msg, validationError);
+                            }
+                            return;
                         }
+                    }
+
+                    // Process message
+                    await callback(parsedContent, msg);
+
+                    // Messages left unacknowledged on a lost channel are redelivered by the broker
+                    if (channel !== this.channel) {
+                        return;
+                    }
 
-                        // Process message
-                        await callback(parsedContent, msg);
+                    // Acknowledge message
+                    channel.ack(msg);
+                } catch (error) {
+                    console.error(`[${this.name}] Error processing message:`, error);
 
-                        // Acknowledge message
-                        this.channel.ack(msg);
-                    } catch (error) {
-                        console.error(`[${this.name}] Error processing message:`, error);
+                    if (channel !== this.channel) {
+                        return;
+                    }
+
+                    if (retryPolicy) {
+                        await this._handleFailedMessage(queueName, msg, error, retryPolicy);
+                    } else {
                         // Reject message and requeue
-                        this.channel.nack(msg, false, true);
+                        channel.nack(msg, false, true);
                     }
-                },
-                { ...options }
-            );
+                }
+            };
+
+            const dispatch = (msg) => {
+                consumer.running++;
+
+                const handling = handleMessage(msg)
+                    .catch(error => {
+                        console.error(`[${this.name}] Failed to settle message from ${queueName}:`, error);
+                    })
+                    .finally(() => {
+                        consumer.running--;
+                        this.activeHandlers.delete(handling);
+
+                        const next = consumer.backlog.shift();
+                        if (next) {
+                            dispatch(next);
+                        }
+                    });
+
+                this.activeHandlers.add(handling);
+            };
+
+            // Prefetch applies to the consumers started after it on the channel, so both
+            // are sent together and no other consume call can slip in between
+            const [, { consumerTag }] = await Promise.all([
+                channel.prefetch(prefetchCount),
+                channel.consume(
+                    queueName,
+                    (msg) => {
+                        if (msg === null) {
+                            console.log(`[${this.name}] Consumer cancelled by server`);
+                            return;
+                        }
 
+                        // Delivered before the cancel reached the broker
+                        if (consumer.cancelled) {
+                            channel.nack(msg, false, true);
+                            return;
+                        }
+
+                        if (consumer.running < consumer.concurrency) {
+                            dispatch(msg);
+                        } else {
+                            consumer.backlog.push(msg);
+                        }
+                    },
+                    { ...consumeOptions }
+                )
+            ]);
+
+            consumer.consumerTag = consumerTag;
+            this.consumers.push(consumer);
             console.log(`[${this.name}] Consuming from queue: ${queueName} (${consumerTag})`);
             return { consumerTag };
         } catch (error) {
@@ -270,6 +582,534 @@ class BaseService {
     }
 
 
+    /**
+     * Read messages from the dead-letter queue of a queue without removing them
+     * @param {string} queueName - Source queue name
+     * @param {Object} options - Inspect options
+     * @param {number} options.limit - Maximum number of messages to return
+     * @returns {Promise<Array<Object>>} Dead-lettered messages with their failure details
+     */
+    async inspectDeadLetters(queueName, options = {}) {
+        if (!this.channel) {
+            throw new Error('Message broker channel not available');
+        }
+
+        const limit = options.limit || 10;
+        const deadLetterQueue = await this._setupDeadLettering(queueName);
+        const fetched = [];
+
+        // Hold the messages unacknowledged while reading so none is returned twice
+        while (fetched.length < limit) {
+            const msg = await this.channel.get(deadLetterQueue, { noAck: false });
+            if (!msg) {
+                break;
+            }
+            fetched.push(msg);
+        }
+
+        fetched.forEach(msg => this.channel.nack(msg, false, true));
+
+        return fetched.map(msg => {
+            const headers = msg.properties.headers || {};
+            const content = msg.content.toString();
+            let parsedContent;
+
+            try {
+                parsedContent = JSON.parse(content);
+            } catch (err) {
+                parsedContent = content;
+            }
+
+            return {
+                content: parsedContent,
+                attempts: headers['x-attempts'] || 0,
+                error: headers['x-last-error'],
+                validationErrors: headers['x-validation-errors'] ? JSON.parse(headers['x-validation-errors']) : undefined,
+                failedAt: headers['x-failed-at'],
+                properties: msg.properties
+            };
+        });
+    }
+
+    /**
+     * Move messages from the dead-letter queue back to their source queue
+     * @param {string} queueName - Source queue name
+     * @param {Object} options - Replay options
+     * @param {number} options.limit - Maximum number of messages to replay
+     * @returns {Promise<number>} Number of replayed messages
+     */
+    async replayDeadLetters(queueName, options = {}) {
+        if (!this.channel) {
+            throw new Error('Message broker channel not available');
+        }
+
+        const limit = options.limit || Infinity;
+        const deadLetterQueue = await this._setupDeadLettering(queueName);
+        let count = 0;
+
+        while (count < limit) {
+            const msg = await this.channel.get(deadLetterQueue, { noAck: false });
+            if (!msg) {
+                break;
+            }
+
+            // Replayed messages start over with a fresh attempt count
+            const {
+                'x-attempts': attempts,
+                'x-last-error': lastError,
+                'x-failed-at': failedAt,
+                'x-validation-errors': validationErrors,
+                ...headers
+            } = msg.properties.headers || {};
+
+            this.channel.sendToQueue(queueName, msg.content, {
+                ...this._republishProperties(msg),
+                headers
+            });
+            this.channel.ack(msg);
+            count++;
+        }
+
+        console.log(`[${this.name}] Replayed ${count} dead-lettered messages to queue: ${queueName}`);
+        return count;
+    }
+
+    /**
+     * Publish the messages stored in the outbox
+     * Called after every (re)connect; messages are sent in the order they were stored.
+     * @returns {Promise<number>} Number of published messages
+     */
+    async flushOutbox() {
+        if (!this.outbox || !this.channel) {
+            return 0;
+        }
+
+        const { sent, remaining, error } = await this.outbox.flush(({ exchange, routingKey, content, options }) =>
+            this._publish(exchange, routingKey, content, options));
+
+        this.publishMetrics.flushed += sent;
+
+        if (sent > 0 || remaining > 0) {
+            console.log(`[${this.name}] Flushed ${sent} messages from the outbox, ${remaining} remaining`);
+        }
+        if (error) {
+            console.error(`[${this.name}] Failed to flush the outbox:`, error.message);
+        }
+
+        return sent;
+    }
+
+    /**
+     * Counters for publishToQueue and publishEvent
+     * @returns {Promise<Object>} published, failed, inFlight, outboxed, flushed and pending (messages in the outbox)
+     */
+    async getPublishMetrics() {
+        return {
+            ...this.publishMetrics,
+            pending: this.outbox ? await this.outbox.size() : 0
+        };
+    }
+
+    async _publishOrStore(exchangeName, routingKey, content, options, useOutbox = true) {
+        try {
+            await this._publish(exchangeName, routingKey, content, options);
+            return true;
+        } catch (error) {
+            this.publishMetrics.failed++;
+
+            if (!this.outbox || !useOutbox) {
+                throw error;
+            }
+
+            await this.outbox.add({ exchange: exchangeName, routingKey, content, options });
+            this.publishMetrics.outboxed++;
+
+            console.warn(`[${this.name}] Stored message for ${exchangeName || routingKey} in the outbox: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Publish a message, waiting for the channel to drain when its buffer is full
+     * and for the broker to confirm the message on a confirm channel
+     * @private
+     */
+    async _publish(exchangeName, routingKey, content, options) {
+        const channel = this.channel;
+
+        if (!channel) {
+            throw new Error('Message broker channel not available');
+        }
+
+        // Ensure the queue or exchange exists
+        if (exchangeName === '' && !this.queues[routingKey]) {
+            await this.registerQueue(routingKey);
+        } else if (exchangeName !== '' && !this.exchanges[exchangeName]) {
+            await this.registerExchange(exchangeName, 'topic');
+        }
+
+        this.publishMetrics.inFlight++;
+
+        try {
+            let callback;
+            let confirmed = null;
+
+            // Only confirm channels have waitForConfirms, others ignore the callback
+            if (typeof channel.waitForConfirms === 'function') {
+                confirmed = new Promise((resolve, reject) => {
+                    callback = (err) => err ? reject(new Error(`Message not confirmed by the broker: ${err.message || err}`)) : resolve();
+                });
+                // Awaited below, after a possible wait for drain
+                confirmed.catch(() => {});
+            }
+
+            const written = channel.publish(exchangeName, routingKey, content, options, callback);
+
+            if (!written) {
+                await this._waitForDrain(channel);
+            }
+
+            if (confirmed) {
+                await this._withTimeout(confirmed, `Message not confirmed within ${this.publishTimeout}ms`);
+            }
+
+            this.publishMetrics.published++;
+        } finally {
+            this.publishMetrics.inFlight--;
+        }
+    }
+
+    _waitForDrain(channel) {
+        const drained = new Promise((resolve, reject) => {
+            const onDrain = () => {
+                channel.off('close', onClose);
+                resolve();
+            };
+            const onClose = () => {
+                channel.off('drain', onDrain);
+                reject(new Error('Channel closed while waiting for drain'));
+            };
+
+            channel.once('drain', onDrain);
+            channel.once('close', onClose);
+        });
+
+        return this._withTimeout(drained, `Channel did not drain within ${this.publishTimeout}ms`);
+    }
+
+    _withTimeout(promise, message) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), this.publishTimeout);
+        });
+
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Declare the dead-letter exchange and queue for a source queue
+     * @param {string} queueName - Source queue name
+     * @returns {Promise<string>} Dead-letter queue name
+     * @private
+     */
+    async _setupDeadLettering(queueName) {
+        if (this.deadLetterQueues[queueName]) {
+            return this.deadLetterQueues[queueName];
+        }
+
+        const exchange = `${queueName}.dlx`;
+        const deadLetterQueue = `${queueName}.dead`;
+
+        await this.channel.assertExchange(exchange, 'direct', { durable: true });
+        await this.channel.assertQueue(deadLetterQueue, { durable: true });
+        await this.channel.bindQueue(deadLetterQueue, exchange, queueName);
+
+        this.deadLetterQueues[queueName] = deadLetterQueue;
+        return deadLetterQueue;
+    }
+
+    /**
+     * Retry a failed message after a delay, or dead-letter it once out of attempts
+     * @param {string} queueName - Source queue name
+     * @param {Object} msg - Raw message
+     * @param {Error} error - Error thrown by the handler
+     * @param {Object} retryPolicy - Retry policy
+     * @private
+     */
+    async _handleFailedMessage(queueName, msg, error, retryPolicy) {
+        const headers = msg.properties.headers || {};
+        const attempts = (parseInt(headers['x-attempts']) || 0) + 1;
+        const failureHeaders = {
+            ...headers,
+            'x-attempts': attempts,
+            'x-last-error': error.message
+        };
+
+        try {
+            if (attempts < retryPolicy.maxAttempts) {
+                const delay = Math.min(
+                    retryPolicy.initialDelay * Math.pow(retryPolicy.multiplier, attempts - 1),
+                    retryPolicy.maxDelay
+                );
+                const retryQueue = await this._getRetryQueue(queueName, Math.round(delay));
+
+                this.channel.sendToQueue(retryQueue, msg.content, {
+                    ...this._republishProperties(msg),
+                    headers: failureHeaders
+                });
+                console.log(`[${this.name}] Retrying message from ${queueName} in ${Math.round(delay)}ms (attempt ${attempts}/${retryPolicy.maxAttempts})`);
+            } else {
+                this._deadLetter(queueName, msg, failureHeaders);
+                console.warn(`[${this.name}] Message from ${queueName} dead-lettered after ${attempts} attempts`);
+            }
+
+            this.channel.ack(msg);
+        } catch (republishError) {
+            console.error(`[${this.name}] Failed to retry message from ${queueName}:`, republishError);
+            this.channel.nack(msg, false, true);
+        }
+    }
+
+    /**
+     * Dead-letter a message that does not match the consumer's schema
+     * A request sent with request() gets the validation error as its reply.
+     * @param {string} queueName - Source queue name
+     * @param {Object} msg - Raw message
+     * @param {ValidationError} error - Validation error
+     * @private
+     */
+    _rejectInvalidMessage(queueName, msg, error) {
+        console.warn(`[${this.name}] Rejected invalid message from ${queueName}: ${error.message}`, error.errors);
+
+        try {
+            this._deadLetter(queueName, msg, {
+                ...msg.properties.headers,
+                'x-last-error': error.message,
+                'x-validation-errors': JSON.stringify(error.errors)
+            });
+            this.respondError(msg, error);
+            this.channel.ack(msg);
+        } catch (republishError) {
+            console.error(`[${this.name}] Failed to dead-letter invalid message from ${queueName}:`, republishError);
+            this.channel.nack(msg, false, true);
+        }
+    }
+
+    _deadLetter(queueName, msg, headers) {
+        this.channel.publish(`${queueName}.dlx`, queueName, msg.content, {
+            ...this._republishProperties(msg),
+            headers: { ...headers, 'x-failed-at': new Date().toISOString() }
+        });
+    }
+
+    /**
+     * Properties to republish a consumed message with (retry, dead-letter, replay)
+     * The per-message expiration (e.g. the RPC timeout set by request()) is dropped: it
+     * would make dead letters disappear and let retries leave their TTL queue early.
+     * @param {Object} msg - Raw message
+     * @returns {Object} Message properties
+     * @private
+     */
+    _republishProperties(msg) {
+        const { expiration, ...properties } = msg.properties;
+
+        return properties;
+    }
+
+    /**
+     * Validate a message payload
+     * @param {Object} schema - Joi schema or MessageSchemaRegistry
+     * @param {*} payload - Message payload
+     * @param {Object} properties - Message properties, used by a registry to find the message type
+     * @returns {*} Validated payload, with Joi defaults applied
+     * @throws {ValidationError} If the payload does not match
+     * @private
+     */
+    _validateMessage(schema, payload, properties = {}) {
+        const { value, error } = Joi.isSchema(schema)
+            ? schema.validate(payload, { abortEarly: false })
+            : schema.validate(payload, properties);
+
+        if (error) {
+            throw new ValidationError(`Invalid message: ${error.message}`, formatJoiErrors(error));
+        }
+
+        return value;
+    }
+
+    /**
+     * Declare the TTL queue holding messages waiting to be retried after a delay
+     * Expired messages are dead-lettered back to the source queue via the default exchange.
+     * @param {string} queueName - Source queue name
+     * @param {number} delay - Delay in ms
+     * @returns {Promise<string>} Retry queue name
+     * @private
+     */
+    async _getRetryQueue(queueName, delay) {
+        const retryQueue = `${queueName}.retry.${delay}`;
+
+        if (!this.queues[retryQueue]) {
+            this.queues[retryQueue] = await this.channel.assertQueue(retryQueue, {
+                durable: true,
+                arguments: {
+                    'x-message-ttl': delay,
+                    'x-dead-letter-exchange': '',
+                    'x-dead-letter-routing-key': queueName
+                }
+            });
+        }
+
+        return retryQueue;
+    }
+
+    /**
+     * Send a request to a queue and wait for the reply
+     * The consumer answers with respond()/respondError(), which send the reply to
+     * this service's reply queue with the same correlationId.
+     * @param {string} queueName - Queue the consumer listens on
+     * @param {*} payload - Request payload
+     * @param {Object} options - Request options
+     * @param {number} options.timeout - Time in ms to wait for the reply
+     * @param {string} options.correlationId - Correlation ID, generated if omitted
+     * @returns {Promise<*>} Result sent by the consumer
+     */
+    async request(queueName, payload, options = {}) {
+        if (!this.channel) {
+            throw new Error('Message broker channel not available');
+        }
+
+        const replyQueue = await this._setupReplyQueue();
+        const correlationId = options.correlationId || uuidv4();
+        const timeout = options.timeout || this.requestTimeout;
+        const content = Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload));
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(correlationId);
+                reject(new ServiceError(queueName, `Request ${correlationId} timed out after ${timeout}ms`, 504));
+            }, timeout);
+
+            this.pendingRequests.set(correlationId, { resolve, reject, timer, queueName });
+
+            try {
+                this.channel.sendToQueue(queueName, content, {
+                    correlationId,
+                    replyTo: replyQueue,
+                    contentType: 'application/json',
+                    // Drop the request if nobody picks it up before the caller gives up
+                    expiration: String(timeout)
+                });
+
+                console.log(`[${this.name}] Sent request ${correlationId} to queue: ${queueName}`);
+            } catch (error) {
+                clearTimeout(timer);
+                this.pendingRequests.delete(correlationId);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Reply to a message sent with request()
+     * @param {Object} msg - Raw message received by the consumer
+     * @param {*} result - Result to send back
+     * @returns {boolean} False if the message did not ask for a reply
+     */
+    respond(msg, result) {
+        return this._sendReply(msg, { success: true, result });
+    }
+
+    /**
+     * Reply to a message sent with request() with an error
+     * @param {Object} msg - Raw message received by the consumer
+     * @param {Error|string} error - Error to send back
+     * @returns {boolean} False if the message did not ask for a reply
+     */
+    respondError(msg, error) {
+        return this._sendReply(msg, {
+            success: false,
+            error: error instanceof Error ? error.message : String(error),
+            code: error && error.code
+        });
+    }
+
+    _sendReply(msg, reply) {
+        if (!this.channel) {
+            throw new Error('Message broker channel not available');
+        }
+
+        const { replyTo, correlationId } = msg.properties || {};
+
+        if (!replyTo) {
+            return false;
+        }
+
+        this.channel.sendToQueue(replyTo, Buffer.from(JSON.stringify({ correlationId, ...reply })), {
+            correlationId,
+            contentType: 'application/json'
+        });
+
+        return true;
+    }
+
+    async _setupReplyQueue() {
+        if (this.replyQueue) {
+            return this.replyQueue;
+        }
+
+        // Exclusive, server-named queue that is deleted when this connection closes
+        const { queue } = await this.channel.assertQueue('', { exclusive: true, autoDelete: true });
+
+        await this.channel.consume(queue, (msg) => {
+            if (msg) {
+                this._handleReply(msg);
+            }
+        }, { noAck: true });
+
+        this.replyQueue = queue;
+        console.log(`[${this.name}] Listening for replies on queue: ${queue}`);
+
+        return queue;
+    }
+
+    _handleReply(msg) {
+        const { correlationId } = msg.properties;
+        const pending = this.pendingRequests.get(correlationId);
+
+        // Late replies for requests that already timed out are dropped
+        if (!pending) {
+            console.warn(`[${this.name}] Dropping reply for unknown request ${correlationId}`);
+            return;
+        }
+
+        this.pendingRequests.delete(correlationId);
+        clearTimeout(pending.timer);
+
+        let reply;
+        try {
+            reply = JSON.parse(msg.content.toString());
+        } catch (error) {
+            pending.reject(new ServiceError(pending.queueName, 'Received an invalid reply', 502));
+            return;
+        }
+
+        if (reply.success === false) {
+            const error = new ServiceError(pending.queueName, reply.error || 'Request failed', 502);
+            error.remoteCode = reply.code;
+            pending.reject(error);
+        } else {
+            pending.resolve(reply.result);
+        }
+    }
+
+    _rejectPendingRequests(reason) {
+        this.pendingRequests.forEach(({ reject, timer, queueName }) => {
+            clearTimeout(timer);
+            reject(new ServiceError(queueName, reason, 503));
+        });
+        this.pendingRequests.clear();
+    }
+
     async _initializeBroker() {
         try {
             if (!this.connection || !this.channel) {
@@ -279,49 +1119,270 @@ class BaseService {
 
             console.log(`[${this.name}] Initializing message broker connections`);
 
-            // Setup default queues and exchanges here if needed
+            await this._setupQueues();
+            this.brokerInitialized = true;
 
+            // Messages stored while the broker was unreachable, possibly before a restart
+            await this.flushOutbox();
         } catch (error) {
             console.error(`[${this.name}] Failed to initialize message broker:`, error);
             throw error;
         }
     }
 
+    /**
+     * Declare the queues, exchanges and consumers of the service
+     * Called once the message broker is first connected; override in derived classes.
+     * @returns {Promise<void>}
+     */
+    async _setupQueues() {
+    }
+
+    _watchBroker() {
+        if (!this.broker || this.brokerWatched) {
+            return;
+        }
+
+        this.broker.on('connected', this._onBrokerConnected);
+        this.broker.on('disconnected', this._onBrokerDisconnected);
+        this.broker.on('reconnect-failed', this._onBrokerReconnectFailed);
+        this.brokerWatched = true;
+    }
+
+    _unwatchBroker() {
+        if (!this.broker || !this.brokerWatched) {
+            return;
+        }
+
+        this.broker.off('connected', this._onBrokerConnected);
+        this.broker.off('disconnected', this._onBrokerDisconnected);
+        this.broker.off('reconnect-failed', this._onBrokerReconnectFailed);
+        this.brokerWatched = false;
+    }
+
+    async _onBrokerConnected({ connection, channel }) {
+        this.connection = connection;
+        this.channel = channel;
+
+        if (this.isShuttingDown) {
+            return;
+        }
+
+        try {
+            if (this.brokerInitialized) {
+                await this._restoreTopology();
+                await this.flushOutbox();
+            } else {
+                // The broker was down when the service started
+                await this._initializeBroker();
+            }
+        } catch (error) {
+            // A channel lost again while restoring triggers another connected event
+            console.error(`[${this.name}] Failed to set up message broker topology:`, error);
+        }
+    }
+
+    _onBrokerDisconnected() {
+        console.warn(`[${this.name}] Message broker disconnected, waiting for reconnect`);
+
+        this.channel = null;
+        this.connection = null;
+
+        // Deliveries from the lost channel are redelivered by the broker
+        this.consumers.forEach(consumer => {
+            consumer.backlog = [];
+        });
+
+        // The reply queue is exclusive to the lost connection, so no reply can arrive
+        this.replyQueue = null;
+        this._rejectPendingRequests('Message broker connection lost');
+    }
+
+    async _cancelConsumers() {
+        const channel = this.channel;
+
+        for (const consumer of this.consumers) {
+            consumer.cancelled = true;
+
+            if (!channel || consumer.channel !== channel) {
+                continue;
+            }
+
+            try {
+                await channel.cancel(consumer.consumerTag);
+            } catch (error) {
+                console.error(`[${this.name}] Failed to cancel consumer ${consumer.consumerTag}:`, error.message);
+            }
+
+            // Hand deliveries that never reached a handler back to the broker
+            consumer.backlog.splice(0).forEach(msg => channel.nack(msg, false, true));
+        }
+
+        if (this.consumers.length > 0) {
+            console.log(`[${this.name}] Cancelled ${this.consumers.length} consumers`);
+        }
+    }
+
+    /**
+     * Wait for running message handlers to finish, at most drainTimeout ms
+     * @returns {Promise<boolean>} False if handlers were still running at the timeout
+     * @private
+     */
+    async _drainHandlers() {
+        if (this.activeHandlers.size === 0) {
+            return true;
+        }
+
+        console.log(`[${this.name}] Waiting for ${this.activeHandlers.size} message handlers to finish`);
+
+        let timer;
+        const drained = await Promise.race([
+            Promise.allSettled([...this.activeHandlers]).then(() => true),
+            new Promise(resolve => {
+                timer = setTimeout(() => resolve(false), this.drainTimeout);
+            })
+        ]);
+        clearTimeout(timer);
+
+        if (!drained) {
+            console.warn(`[${this.name}] ${this.activeHandlers.size} message handlers still running after ${this.drainTimeout}ms`);
+        }
+
+        return drained;
+    }
+
+    _onBrokerReconnectFailed(error) {
+        console.error(`[${this.name}] Giving up on the message broker:`, error.message);
+        this._shutdown(1);
+    }
+
+    /**
+     * Declare the recorded exchanges, queues and bindings again on the current
+     * channel and restart the consumers
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _restoreTopology() {
+        console.log(`[${this.name}] Restoring message broker topology`);
+
+        const queueOptions = this.queueOptions;
+        const consumers = this.consumers;
+
+        // Retry and dead-letter queues are declared again on first use
+        this.queues = {};
+        this.queueOptions = {};
+        this.deadLetterQueues = {};
+        this.consumers = [];
+
+        for (const { name, type, options } of Object.values(this.exchanges)) {
+            await this.registerExchange(name, type, options);
+        }
+
+        for (const [queueName, options] of Object.entries(queueOptions)) {
+            await this.registerQueue(queueName, options);
+        }
+
+        for (const { queue, exchange, pattern } of this.bindings) {
+            await this.bindQueue(queue, exchange, pattern);
+        }
+
+        for (const { queue, callback, options, consumerTag } of consumers) {
+            const consumer = await this.consumeFromQueue(queue, callback, options);
+
+            Object.values(this.subscriptions)
+                .filter(subscription => subscription.consumerTag === consumerTag)
+                .forEach(subscription => {
+                    subscription.consumerTag = consumer.consumerTag;
+                });
+        }
+
+        console.log(`[${this.name}] Restored ${Object.keys(this.exchanges).length} exchanges, ${Object.keys(queueOptions).length} queues, ${this.bindings.length} bindings and ${consumers.length} consumers`);
+    }
+
+    _startHeartbeat() {
+        this._stopHeartbeat();
+
+        this.heartbeatTimer = setInterval(() => {
+            this.sendHeartbeat();
+        }, this.heartbeatInterval);
+
+        console.log(`[${this.name}] Sending registry heartbeats every ${this.heartbeatInterval}ms`);
+    }
+
+    _stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
     _registerProcessEvents() {
         // Handle graceful shutdown
-        process.on('SIGTERM', async () => {
+        process.on('SIGTERM', () => {
             console.log(`[${this.name}] SIGTERM received, shutting down gracefully`);
-            await this.stop();
-            process.exit(0);
+            this._shutdown(0);
         });
 
-        process.on('SIGINT', async () => {
+        process.on('SIGINT', () => {
             console.log(`[${this.name}] SIGINT received, shutting down gracefully`);
-            await this.stop();
-            process.exit(0);
+            this._shutdown(0);
         });
 
         // Handle uncaught exceptions
-        process.on('uncaughtException', async (error) => {
+        process.on('uncaughtException', (error) => {
             console.error(`[${this.name}] Uncaught exception:`, error);
-            await this.stop();
-            process.exit(1);
+            this._shutdown(1);
         });
 
         // Handle unhandled promise rejections
-        process.on('unhandledRejection', async (reason, promise) => {
+        process.on('unhandledRejection', (reason, promise) => {
             console.error(`[${this.name}] Unhandled promise rejection:`, reason);
-            await this.stop();
-            process.exit(1);
+            this._shutdown(1);
         });
     }
 
+    async _shutdown(exitCode) {
+        // Errors raised while stopping must not start another shutdown
+        if (this.isShuttingDown) {
+            return;
+        }
+        this.isShuttingDown = true;
+
+        // Do not wait forever on connections that refuse to close
+        setTimeout(() => {
+            console.error(`[${this.name}] Shutdown timed out, forcing exit`);
+            process.exit(exitCode || 1);
+        }, this.shutdownTimeout).unref();
+
+        try {
+            await this.stop();
+
+            // Closing the connection returns anything still unacknowledged to the broker
+            if (this.broker) {
+                await this.broker.close();
+            }
+        } catch (error) {
+            console.error(`[${this.name}] Error during shutdown:`, error);
+            exitCode = exitCode || 1;
+        }
+
+        process.exit(exitCode);
+    }
+
 
     async _cleanup() {
         try {
             // Close any open connections, etc.
             console.log(`[${this.name}] Cleaning up resources`);
 
+            this._unwatchBroker();
+
+            // Stop new deliveries, then give running handlers a chance to settle their messages
+            await this._cancelConsumers();
+            await this._drainHandlers();
+
+            this._rejectPendingRequests('Service is shutting down');
+
             // Implement specific cleanup logic in derived classes
 
         } catch (error) {
@@ -0,0 +1,138 @@
+const axios = require('axios');
+
+/**
+ * Health states of a registered instance
+ */
+const HealthStatus = {
+    UNKNOWN: 'UNKNOWN',
+    UP: 'UP',
+    DEGRADED: 'DEGRADED',
+    DOWN: 'DOWN'
+};
+
+/**
+ * Health Checker
+ * Periodically calls the health endpoint of every instance in a ServiceRegistry
+ * and records the result on the instance, so discovery can skip instances that
+ * are DOWN.
+ *
+ * - A failed check marks an UP instance DEGRADED, and DOWN once
+ *   `unhealthyThreshold` checks in a row have failed
+ * - A DOWN instance needs `healthyThreshold` successful checks in a row to be UP again
+ * - An instance reporting DEGRADED, or answering slower than `degradedLatency`, is DEGRADED
+ */
+class HealthChecker {
+
+    constructor(registry, options = {}) {
+        if (!registry) {
+            throw new Error('Health checker requires a service registry');
+        }
+
+        this.registry = registry;
+        this.interval = options.interval || 10000;
+        this.timeout = options.timeout || 2000;
+        this.path = options.path || '/health';
+        this.unhealthyThreshold = options.unhealthyThreshold || 3;
+        this.healthyThreshold = options.healthyThreshold || 2;
+        this.degradedLatency = options.degradedLatency || 0;
+        this.timer = null;
+        this.checking = false;
+    }
+
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.checkAll();
+        }, this.interval);
+
+        console.log(`Started health checks every ${this.interval}ms`);
+    }
+
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+
+    /**
+     * Check every registered instance once
+     * @returns {Promise<void>}
+     */
+    async checkAll() {
+        // Skip this round if the previous one is still waiting on slow instances
+        if (this.checking) {
+            return;
+        }
+
+        this.checking = true;
+
+        try {
+            await Promise.all(this.registry.getAll().map(service => this.checkInstance(service)));
+        } finally {
+            this.checking = false;
+        }
+    }
+
+
+    /**
+     * Check one instance and record the result in the registry
+     * @param {Object} service - Registered service instance
+     * @returns {Promise<Object>} Updated health information
+     */
+    async checkInstance(service) {
+        const previous = service.health || { status: HealthStatus.UNKNOWN, consecutiveFailures: 0, consecutiveSuccesses: 0 };
+        const startedAt = Date.now();
+        let reported = null;
+        let error = null;
+
+        try {
+            const response = await axios.get(`${service.url}${this.path}`, { timeout: this.timeout });
+            const body = response.data || {};
+
+            // Services answer through the Response envelope, { data: { status } }
+            reported = (body.data && body.data.status) || body.status || HealthStatus.UP;
+
+            if (reported === HealthStatus.DOWN) {
+                error = 'Instance reported DOWN';
+            }
+        } catch (err) {
+            error = err.message;
+        }
+
+        const latency = Date.now() - startedAt;
+        const health = {
+            status: previous.status,
+            consecutiveFailures: error ? previous.consecutiveFailures + 1 : 0,
+            consecutiveSuccesses: error ? 0 : previous.consecutiveSuccesses + 1,
+            lastCheck: Date.now(),
+            latency,
+            lastError: error
+        };
+
+        if (error) {
+            health.status = health.consecutiveFailures >= this.unhealthyThreshold || previous.status === HealthStatus.DOWN
+                ? HealthStatus.DOWN
+                : HealthStatus.DEGRADED;
+        } else if (previous.status === HealthStatus.DOWN && health.consecutiveSuccesses < this.healthyThreshold) {
+            health.status = HealthStatus.DOWN;
+        } else if (reported === HealthStatus.DEGRADED || (this.degradedLatency && latency > this.degradedLatency)) {
+            health.status = HealthStatus.DEGRADED;
+        } else {
+            health.status = HealthStatus.UP;
+        }
+
+        this.registry.setHealth(service.key, health);
+        return health;
+    }
+}
+
+HealthChecker.HealthStatus = HealthStatus;
+
+module.exports = HealthChecker;
@@ -0,0 +1,259 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const { StatusCodes } = require('http-status-codes');
+const BaseService = require('./BaseService');
+const { createResponseHandler } = require('../middleware/responseHandler');
+const { notFoundHandler, errorHandler } = require('../middleware/errorHandler');
+const asyncHandler = require('../middleware/asyncHandler');
+
+/**
+ * List the routes of an Express router
+ * Only routes declared on the router itself are listed, not those of nested routers.
+ * @param {string} path - Path the router is mounted on
+ * @param {express.Router} router - Router to list
+ * @returns {Array<Object>} Routes with method and path
+ */
+const listRoutes = (path, router) => {
+    return router.stack
+        .filter(layer => layer.route)
+        .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+            method,
+            path: layer.route.path === '/' ? path : `${path}${layer.route.path}`
+        })));
+};
+
+/**
+ * Base class of services that serve HTTP
+ * Builds an Express application with the standard middleware, res.api,
+ * /health and /ready endpoints and the shared error handlers, and runs it
+ * for as long as the service runs. Derived classes set this.config, call
+ * _initializeExpress() at the end of their constructor and mount their
+ * routes in _setupRoutes() with addRoute() and mountRouter(), which list
+ * them in this.routes.
+ * @extends BaseService
+ */
+class HttpService extends BaseService {
+    /**
+     * Create a new HttpService
+     * @param {Object} options - Service configuration options, see BaseService
+     */
+    constructor(options = {}) {
+        super(options);
+
+        this.app = null;
+        this.server = null;
+        this.routes = [];
+        this.config = {};
+
+        this.addRoute = this.addRoute.bind(this);
+        this.mountRouter = this.mountRouter.bind(this);
+    }
+
+    async start() {
+        try {
+            // Let BaseService report it, the server is already listening
+            if (this.isRunning) {
+                return await super.start();
+            }
+
+            await super.start();
+
+            try {
+                this.server = await new Promise((resolve, reject) => {
+                    const server = this.app.listen(this.port, () => {
+                        server.off('error', reject);
+                        console.log(`[${this.name}] HTTP server running on port ${this.port}`);
+                        resolve(server);
+                    });
+
+                    server.once('error', reject);
+                });
+            } catch (error) {
+                // Do not stay registered and consuming without a server, e.g. when the port is taken
+                await super.stop();
+                throw error;
+            }
+        } catch (error) {
+            console.error(`[${this.name}] Failed to start HTTP service:`, error);
+            throw error;
+        }
+    }
+
+    async stop() {
+        try {
+            await this._closeServer();
+            await super.stop();
+        } catch (error) {
+            console.error(`[${this.name}] Failed to stop HTTP service:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a route to the application
+     * @param {string} method - HTTP method, e.g. 'get'
+     * @param {string} path - Route path
+     * @param {...Function} handlers - Route handlers
+     * @returns {HttpService} This service, for chaining
+     */
+    addRoute(method, path, ...handlers) {
+        this.app[method](path, ...handlers);
+        this.routes.push({ method, path });
+
+        return this;
+    }
+
+    /**
+     * Mount a router or middleware on a path
+     * The routes of a router are listed in this.routes, anything else is listed
+     * as a single route that handles all methods.
+     * @param {string} path - Path to mount on
+     * @param {Function} router - Express router or middleware
+     * @param {Object} details - Extra details of the route listing for middleware
+     * @returns {HttpService} This service, for chaining
+     */
+    mountRouter(path, router, details = {}) {
+        this.app.use(path, router);
+
+        if (Array.isArray(router.stack)) {
+            this.routes.push(...listRoutes(path, router));
+        } else {
+            this.routes.push({ method: 'all', path, ...details });
+        }
+
+        return this;
+    }
+
+    /**
+     * Describe the service, as sent by GET /
+     * @returns {Object} Service name, version and endpoints
+     */
+    getServiceInfo() {
+        return {
+            service: this.name,
+            version: this.version,
+            endpoints: this.routes.map(route => `${route.method.toUpperCase()} ${route.path}`)
+        };
+    }
+
+    /**
+     * Check whether the service can take traffic
+     * Derived classes can add their own checks.
+     * @returns {Promise<Object>} ready and the result of each check
+     */
+    async getReadiness() {
+        const checks = {
+            running: this.isRunning && !this.isShuttingDown,
+            // Services without a message broker do not depend on one
+            broker: !this.broker || Boolean(this.channel)
+        };
+
+        return {
+            ready: Object.values(checks).every(Boolean),
+            checks
+        };
+    }
+
+    _initializeExpress() {
+        try {
+            this.app = express();
+            const errors = this.config.errors || {};
+            const server = this.config.server || {};
+
+            // Behind a proxy such as the gateway, req.ip is taken from X-Forwarded-For
+            if (server.trustProxy !== undefined) {
+                this.app.set('trust proxy', server.trustProxy);
+            }
+
+            // Add response handler middleware
+            this.app.use(createResponseHandler({
+                errorFormat: errors.format,
+                problemTypeBaseUrl: errors.typeBaseUrl
+            }));
+
+            this._setupMiddleware();
+
+            this.addRoute('get', '/health', asyncHandler(async (req, res) => {
+                res.api.success({
+                    status: 'UP',
+                    service: this.name,
+                    messaging: await this.getPublishMetrics()
+                });
+            }));
+
+            this.addRoute('get', '/ready', asyncHandler(async (req, res) => {
+                const { ready, checks } = await this.getReadiness();
+
+                if (!ready) {
+                    return res.api.error('Service is not ready', StatusCodes.SERVICE_UNAVAILABLE, checks);
+                }
+
+                return res.api.success({ status: 'READY', service: this.name, checks });
+            }));
+
+            this.addRoute('get', '/', (req, res) => {
+                res.api.success(this.getServiceInfo());
+            });
+
+            this._setupRoutes();
+
+            this.app.use(notFoundHandler);
+            this.app.use(errorHandler);
+
+            console.log(`[${this.name}] Express application initialized`);
+        } catch (error) {
+            console.error(`[${this.name}] Failed to initialize Express:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add the middleware that runs before the routes
+     * @private
+     */
+    _setupMiddleware() {
+        this.app.use(helmet());
+        this.app.use(cors());
+        this.app.use(express.json());
+        this.app.use(express.urlencoded({ extended: true }));
+        this.app.use(morgan('dev'));
+    }
+
+    /**
+     * Mount the service routes, implemented by derived classes
+     * @private
+     */
+    _setupRoutes() {}
+
+    /**
+     * Stop accepting connections and wait for open requests to finish
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _closeServer() {
+        if (!this.server) {
+            return;
+        }
+
+        const server = this.server;
+        this.server = null;
+
+        await new Promise((resolve, reject) => {
+            server.close((err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(`[${this.name}] HTTP server closed`);
+                    resolve();
+                }
+            });
+
+            // Keep-alive connections without a request in flight would hold close() up
+            server.closeIdleConnections();
+        });
+    }
+}
+
+module.exports = HttpService;
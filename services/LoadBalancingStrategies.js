@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+
+/**
+ * Load Balancing Strategies
+ * Each strategy picks one instance out of the live instances of a service.
+ * ServiceRegistry keeps one strategy instance per service name, so strategies
+ * can hold state (counters, outstanding requests, hash rings) for that service.
+ *
+ * Strategy interface:
+ * - select(instances, context) - Pick an instance, context may carry a request key
+ * - acquire(instance) - Optional, called when an instance is handed out
+ * - release(instance) - Optional, called when the caller is done with it
+ */
+
+/**
+ * Sort instances by key so stateful strategies see a stable order
+ * @param {Array<Object>} instances - Service instances
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortByKey(instances) {
+    return [...instances].sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Random Strategy
+ * Picks any instance with equal probability
+ */
+class RandomStrategy {
+    select(instances) {
+        return instances[Math.floor(Math.random() * instances.length)];
+    }
+}
+
+/**
+ * Round Robin Strategy
+ * Cycles through the instances in order
+ */
+class RoundRobinStrategy {
+    constructor() {
+        this.counter = 0;
+    }
+
+    select(instances) {
+        const sorted = sortByKey(instances);
+        const instance = sorted[this.counter % sorted.length];
+
+        this.counter = (this.counter + 1) % Number.MAX_SAFE_INTEGER;
+        return instance;
+    }
+}
+
+/**
+ * Least Outstanding Requests Strategy
+ * Picks the instance with the fewest requests that have not been released yet
+ */
+class LeastOutstandingStrategy {
+    constructor() {
+        this.outstanding = new Map();
+        this.counter = 0;
+    }
+
+    select(instances) {
+        const sorted = sortByKey(instances);
+        const offset = this.counter++ % sorted.length;
+        let selected = null;
+        let lowest = Infinity;
+
+        // Start at a rotating offset so ties are spread across instances
+        for (let i = 0; i < sorted.length; i++) {
+            const instance = sorted[(offset + i) % sorted.length];
+            const count = this.outstanding.get(instance.key) || 0;
+
+            if (count < lowest) {
+                lowest = count;
+                selected = instance;
+            }
+        }
+
+        return selected;
+    }
+
+    acquire(instance) {
+        this.outstanding.set(instance.key, (this.outstanding.get(instance.key) || 0) + 1);
+    }
+
+    release(instance) {
+        const count = this.outstanding.get(instance.key) || 0;
+
+        if (count <= 1) {
+            this.outstanding.delete(instance.key);
+        } else {
+            this.outstanding.set(instance.key, count - 1);
+        }
+    }
+}
+
+/**
+ * Weighted Strategy
+ * Smooth weighted round robin using metadata.weight (defaults to 1)
+ */
+class WeightedStrategy {
+    constructor() {
+        this.currentWeights = new Map();
+    }
+
+    select(instances) {
+        let total = 0;
+        let selected = null;
+
+        sortByKey(instances).forEach(instance => {
+            const weight = this._getWeight(instance);
+            const current = (this.currentWeights.get(instance.key) || 0) + weight;
+
+            this.currentWeights.set(instance.key, current);
+            total += weight;
+
+            if (!selected || current > this.currentWeights.get(selected.key)) {
+                selected = instance;
+            }
+        });
+
+        this.currentWeights.set(selected.key, this.currentWeights.get(selected.key) - total);
+
+        // Forget instances that are gone
+        const keys = new Set(instances.map(instance => instance.key));
+        [...this.currentWeights.keys()].forEach(key => {
+            if (!keys.has(key)) {
+                this.currentWeights.delete(key);
+            }
+        });
+
+        return selected;
+    }
+
+    _getWeight(instance) {
+        const weight = Number(instance.metadata && instance.metadata.weight);
+        return Number.isFinite(weight) && weight > 0 ? weight : 1;
+    }
+}
+
+/**
+ * Consistent Hash Strategy
+ * Maps a request key (e.g. a session or user ID) onto a hash ring so the same
+ * key keeps going to the same instance while the instance set is stable.
+ * Falls back to a random instance when no key is given.
+ */
+class ConsistentHashStrategy {
+    constructor(options = {}) {
+        this.replicas = options.replicas || 100;
+        // Rings for recently seen instance sets, e.g. one per requested version range
+        this.rings = new Map();
+        this.maxRings = options.maxRings || 10;
+        this.fallback = new RandomStrategy();
+    }
+
+    select(instances, context = {}) {
+        if (context.key === undefined || context.key === null || context.key === '') {
+            return this.fallback.select(instances);
+        }
+
+        const ring = this._getRing(instances);
+        const hash = this._hash(String(context.key));
+        const byKey = new Map(instances.map(instance => [instance.key, instance]));
+
+        // Binary search for the first ring point at or after the hash
+        let low = 0;
+        let high = ring.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (ring[mid].hash < hash) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        const point = ring[low % ring.length];
+        return byKey.get(point.key);
+    }
+
+    _getRing(instances) {
+        const ringId = instances.map(instance => instance.key).sort().join('|');
+
+        if (this.rings.has(ringId)) {
+            return this.rings.get(ringId);
+        }
+
+        const ring = [];
+        instances.forEach(instance => {
+            for (let i = 0; i < this.replicas; i++) {
+                ring.push({ hash: this._hash(`${instance.key}#${i}`), key: instance.key });
+            }
+        });
+        ring.sort((a, b) => a.hash - b.hash);
+
+        // Drop the oldest ring once the cache is full
+        if (this.rings.size >= this.maxRings) {
+            this.rings.delete(this.rings.keys().next().value);
+        }
+        this.rings.set(ringId, ring);
+
+        return ring;
+    }
+
+    _hash(value) {
+        return crypto.createHash('md5').update(value).digest().readUInt32BE(0);
+    }
+}
+
+const strategies = {
+    'random': RandomStrategy,
+    'round-robin': RoundRobinStrategy,
+    'least-outstanding': LeastOutstandingStrategy,
+    'weighted': WeightedStrategy,
+    'consistent-hash': ConsistentHashStrategy
+};
+
+/**
+ * Create a strategy instance
+ * @param {string|Object} strategy - Strategy name, { type, ...options } or a strategy instance
+ * @returns {Object} Strategy instance
+ */
+function createStrategy(strategy = 'random') {
+    if (strategy && typeof strategy.select === 'function') {
+        return strategy;
+    }
+
+    const { type, ...options } = typeof strategy === 'string' ? { type: strategy } : strategy;
+    const StrategyClass = strategies[type];
+
+    if (!StrategyClass) {
+        throw new Error(`Unknown load balancing strategy: ${type}`);
+    }
+
+    return new StrategyClass(options);
+}
+
+/**
+ * Parse a strategy list such as "api=round-robin,otp=least-outstanding"
+ * @param {string} value - Comma separated name=strategy pairs
+ * @returns {Object} Map of service name to strategy name
+ */
+function parseStrategies(value = '') {
+    return value.split(',').reduce((result, pair) => {
+        const [name, strategy] = pair.split('=').map(part => part && part.trim());
+
+        if (name && strategy) {
+            result[name] = strategy;
+        }
+
+        return result;
+    }, {});
+}
+
+module.exports = {
+    RandomStrategy,
+    RoundRobinStrategy,
+    LeastOutstandingStrategy,
+    WeightedStrategy,
+    ConsistentHashStrategy,
+    createStrategy,
+    parseStrategies
+};
@@ -0,0 +1,217 @@
+const axios = require('axios');
+const { StatusCodes } = require('http-status-codes');
+
+/**
+ * Registry Client
+ * Talks to a ServiceRegistry exposed over HTTP (see routes/registry.routes.js).
+ * Mirrors the ServiceRegistry API, but every method returns a promise.
+ */
+class RegistryClient {
+
+    constructor(options = {}) {
+        if (!options.url) {
+            throw new Error('Registry client requires the registry URL');
+        }
+
+        this.url = options.url.replace(/\/+$/, '');
+        this.remote = true;
+        this.http = axios.create({
+            baseURL: this.url,
+            timeout: options.timeout || 5000,
+            // Registrations, heartbeats and removals are refused without it
+            headers: options.token ? { 'X-Registry-Token': options.token } : {}
+        });
+
+        console.log(`Using remote service registry at ${this.url}`);
+    }
+
+
+    async register(name, host, port, metadata = {}) {
+        if (!name || !host || !port) {
+            throw new Error('Service registration requires name, host, and port');
+        }
+
+        const response = await this.http.post('/services', { name, host, port, metadata });
+        return response.data.data;
+    }
+
+
+    async unregister(name, host, port) {
+        try {
+            await this.http.delete(this._instancePath(name, host, port));
+            return true;
+        } catch (error) {
+            if (this._isNotFound(error)) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+
+    async heartbeat(name, host, port) {
+        try {
+            const response = await this.http.put(`${this._instancePath(name, host, port)}/heartbeat`);
+            return response.data.data;
+        } catch (error) {
+            if (this._isNotFound(error)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+
+    async findAll(name, range) {
+        const response = await this.http.get(`/services/${encodeURIComponent(name)}`, {
+            params: { range }
+        });
+        return response.data.data;
+    }
+
+
+    async find(name, range, context = {}) {
+        // Allow find(name, context)
+        if (range && typeof range === 'object') {
+            context = range;
+            range = undefined;
+        }
+
+        try {
+            const response = await this.http.get(`/services/${encodeURIComponent(name)}/instance`, {
+                params: { range, key: context.key }
+            });
+            return response.data.data;
+        } catch (error) {
+            if (this._isNotFound(error)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+
+    async getAll() {
+        const response = await this.http.get('/services');
+        return response.data.data;
+    }
+
+
+    /**
+     * Watch registry changes through the Server-Sent Events stream
+     * Reconnects after `reconnectDelay` ms when the stream ends or fails; a
+     * `snapshot` event with all services is delivered again after every (re)connect.
+     * @param {Function} onEvent - Called with (event, data) for every event
+     * @param {Object} options - Watch options
+     * @param {number} options.reconnectDelay - Delay in ms before reconnecting
+     * @returns {Object} Handle with a close() method
+     */
+    watch(onEvent, options = {}) {
+        const reconnectDelay = options.reconnectDelay || 5000;
+        let closed = false;
+        let stream = null;
+        let timer = null;
+
+        // At most one reconnect is pending, a failed stream can report both an error and its close
+        const reconnect = () => {
+            if (!closed && !timer) {
+                timer = setTimeout(() => {
+                    timer = null;
+                    connect();
+                }, reconnectDelay);
+            }
+        };
+
+        const connect = async () => {
+            try {
+                const response = await this.http.get('/watch', {
+                    responseType: 'stream',
+                    timeout: 0
+                });
+                let buffer = '';
+
+                stream = response.data;
+                stream.setEncoding('utf8');
+
+                stream.on('data', (chunk) => {
+                    buffer += chunk;
+
+                    // Events are separated by a blank line
+                    let index;
+                    while ((index = buffer.indexOf('\n\n')) !== -1) {
+                        this._dispatchEvent(buffer.slice(0, index), onEvent);
+                        buffer = buffer.slice(index + 2);
+                    }
+                });
+                // Emitted after a clean end and after an error such as a socket reset alike
+                stream.on('close', reconnect);
+                stream.on('error', (error) => {
+                    console.error('Registry watch stream error:', error.message);
+                });
+            } catch (error) {
+                console.error('Failed to watch service registry:', error.message);
+                reconnect();
+            }
+        };
+
+        connect();
+
+        return {
+            close: () => {
+                closed = true;
+                clearTimeout(timer);
+                timer = null;
+                if (stream) {
+                    stream.destroy();
+                }
+            }
+        };
+    }
+
+
+    release() {
+        // Outstanding requests are only tracked by an in-process registry
+    }
+
+
+    stop() {
+        // Nothing to release, present for parity with ServiceRegistry
+    }
+
+
+    _instancePath(name, host, port) {
+        return `/services/${[name, host, port].map(part => encodeURIComponent(part)).join('/')}`;
+    }
+
+
+    _dispatchEvent(block, onEvent) {
+        let event = 'message';
+        const data = [];
+
+        block.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                data.push(line.slice(5).trim());
+            }
+        });
+
+        // Comment-only blocks are keep-alives
+        if (data.length === 0) {
+            return;
+        }
+
+        try {
+            onEvent(event, JSON.parse(data.join('\n')));
+        } catch (error) {
+            console.error(`Failed to handle registry event ${event}:`, error);
+        }
+    }
+
+
+    _isNotFound(error) {
+        return Boolean(error.response && error.response.status === StatusCodes.NOT_FOUND);
+    }
+}
+
+module.exports = RegistryClient;
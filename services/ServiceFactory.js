@@ -1,4 +1,8 @@
 const ServiceRegistry = require('./ServiceRegistry');
+const RegistryClient = require('./RegistryClient');
+const { parseStrategies } = require('./LoadBalancingStrategies');
+const { createRegistryStore } = require('./stores');
+const { createMessageBroker, FileOutbox } = require('./brokers');
 const BaseService = require('./BaseService');
 const path = require('path');
 const os = require('os');
@@ -15,10 +19,8 @@ class ServiceFactory {
     constructor(options = {}) {
         this.options = options;
         this.services = {};
-        this.registry = new ServiceRegistry({
-            timeout: options.registryTimeout || 30000,
-            cleanupInterval: options.registryCleanupInterval || 300000
-        });
+        // Created on first use, once the environment has been loaded
+        this.registry = null;
 
         // Available service types and their paths
         this.serviceTypes = {
@@ -51,6 +53,9 @@ class ServiceFactory {
             // Initialize message broker if needed
             const messageBroker = await this._initializeMessageBroker(type);
 
+            // Create the registry this process uses
+            const registry = await this._initializeRegistry(type);
+
             // Generate service ID
             const serviceId = `${type}-${Date.now()}`;
 
@@ -58,11 +63,13 @@ class ServiceFactory {
             const serviceOptions = {
                 name: type,
                 port: options.port || this._getDefaultPort(type),
+                broker: messageBroker?.broker,
+                outbox: messageBroker ? this._createOutbox(type, options.port || this._getDefaultPort(type)) : null,
                 connection: messageBroker?.connection,
                 channel: messageBroker?.channel,
                 configPath: options.configPath || this._getConfigPath(type, options.env),
                 env: options.env || process.env.NODE_ENV || 'development',
-                registry: this.registry,
+                registry,
                 ...options
             };
 
@@ -108,6 +115,84 @@ class ServiceFactory {
         return this.registry;
     }
 
+    /**
+     * Initialize the service registry
+     * The API Gateway hosts the registry in-process and exposes it over HTTP;
+     * other services use a client for it when REGISTRY_URL is set.
+     * @param {string} type - Service type
+     * @returns {Promise<ServiceRegistry|RegistryClient>} Registry instance
+     * @private
+     */
+    async _initializeRegistry(type) {
+        if (this.registry) {
+            return this.registry;
+        }
+
+        const registryUrl = this.options.registryUrl || process.env.REGISTRY_URL;
+
+        if (registryUrl && type !== 'api-gateway') {
+            this.registry = new RegistryClient({
+                url: registryUrl,
+                token: this.options.registryToken || process.env.REGISTRY_TOKEN,
+                timeout: this.options.registryClientTimeout
+            });
+        } else {
+            this.registry = new ServiceRegistry({
+                timeout: this.options.registryTimeout || 30000,
+                cleanupInterval: this.options.registryCleanupInterval || 300000,
+                defaultStrategy: this.options.defaultStrategy || process.env.LOAD_BALANCING_DEFAULT,
+                strategies: this.options.strategies || parseStrategies(process.env.LOAD_BALANCING_STRATEGIES),
+                healthCheck: this._getHealthCheckOptions(),
+                store: this._createRegistryStore()
+            });
+
+            await this.registry.initialize();
+        }
+
+        return this.registry;
+    }
+
+    /**
+     * Create the storage backend for an in-process registry
+     * @returns {RegistryStore} Registry store (REGISTRY_STORE=memory|file|redis)
+     * @private
+     */
+    _createRegistryStore() {
+        if (this.options.registryStore) {
+            return this.options.registryStore;
+        }
+
+        return createRegistryStore(process.env.REGISTRY_STORE || 'memory', {
+            filePath: process.env.REGISTRY_STORE_FILE,
+            hashKey: process.env.REGISTRY_STORE_REDIS_KEY
+        });
+    }
+
+    /**
+     * Get health check options for an in-process registry
+     * @returns {Object|null} Health check options or null if disabled (HEALTH_CHECK_INTERVAL=0)
+     * @private
+     */
+    _getHealthCheckOptions() {
+        if (this.options.healthCheck !== undefined) {
+            return this.options.healthCheck;
+        }
+
+        const interval = parseInt(process.env.HEALTH_CHECK_INTERVAL || '10000');
+
+        if (!interval) {
+            return null;
+        }
+
+        return {
+            interval,
+            timeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT || '2000'),
+            unhealthyThreshold: parseInt(process.env.HEALTH_CHECK_UNHEALTHY_THRESHOLD || '3'),
+            healthyThreshold: parseInt(process.env.HEALTH_CHECK_HEALTHY_THRESHOLD || '2'),
+            degradedLatency: parseInt(process.env.HEALTH_CHECK_DEGRADED_LATENCY || '0')
+        };
+    }
+
     /**
      * Get default port for a service type
      * @param {string} type - Service type
@@ -136,6 +221,23 @@ class ServiceFactory {
         return path.join(process.cwd(), 'config', `${env}-service-config.json`);
     }
 
+    /**
+     * Create the outbox for messages a service could not publish
+     * Enabled with PUBLISH_OUTBOX=true; one file per service instance.
+     * @param {string} type - Service type
+     * @param {number} port - Service port
+     * @returns {FileOutbox|null} Outbox or null if disabled
+     * @private
+     */
+    _createOutbox(type, port) {
+        if (process.env.PUBLISH_OUTBOX !== 'true') {
+            return null;
+        }
+
+        const directory = process.env.PUBLISH_OUTBOX_DIR || path.join(process.cwd(), 'data', 'outbox');
+        return new FileOutbox({ filePath: path.join(directory, `${type}-${port}.jsonl`) });
+    }
+
     /**
      * Initialize message broker
      * @param {string} type - Service type
@@ -149,13 +251,12 @@ class ServiceFactory {
                 return null;
             }
 
-            const RabbitmqConfig = require('../config/rabbitmq');
-            await RabbitmqConfig.connect();
+            const broker = createMessageBroker(process.env.MESSAGE_BROKER || 'amqp', {
+                confirm: process.env.PUBLISH_CONFIRMS === 'true'
+            });
+            const { connection, channel } = await broker.connect();
 
-            return {
-                connection: RabbitmqConfig.connection,
-                channel: RabbitmqConfig.channel
-            };
+            return { broker, connection, channel };
         } catch (error) {
             console.error('Error initializing message broker:', error);
             throw error;
@@ -1,19 +1,77 @@
+const EventEmitter = require('events');
+const semver = require('semver');
+const { createStrategy } = require('./LoadBalancingStrategies');
+const HealthChecker = require('./HealthChecker');
+const { MemoryRegistryStore } = require('./stores');
+const { ValidationError } = require('../utils/errors');
+
+const { HealthStatus } = HealthChecker;
+
 /**
  * Service Registry
  * Manages service registration and discovery
+ *
+ * Events:
+ * - registered (service) - A new instance registered
+ * - unregistered (service) - An instance unregistered
+ * - expired (service) - An instance stopped sending heartbeats and was removed
+ * - health-changed ({ service, previous, current }) - The health status of an instance changed
  */
-class ServiceRegistry {
+class ServiceRegistry extends EventEmitter {
 
     constructor(options = {}) {
+        super();
+        // Every /registry/watch stream adds a listener per event, there is no fixed number of them
+        this.setMaxListeners(0);
+
         this.services = {};
         this.timeout = options.timeout || 30000; // Default 30 seconds
         this.cleanupInterval = options.cleanupInterval || 300000; // Default 5 minutes
+        this.defaultStrategy = options.defaultStrategy || 'random';
+        this.strategyConfig = { ...options.strategies };
+        this.strategies = {};
+        this.store = options.store || new MemoryRegistryStore();
 
         // Start cleanup interval
         this._startCleanupInterval();
+
+        // Start active health checks if configured
+        this.healthChecker = null;
+        if (options.healthCheck) {
+            this.healthChecker = new HealthChecker(this, options.healthCheck);
+            this.healthChecker.start();
+        }
+    }
+
+
+    /**
+     * Load the entries kept by the store, e.g. after a restart
+     * Services keep renewing restored entries with heartbeats without registering again.
+     * @returns {Promise<number>} Number of restored entries
+     */
+    async initialize() {
+        const entries = await this.store.load();
+
+        entries.forEach(service => {
+            this.services[service.key] = service;
+        });
+
+        if (entries.length > 0) {
+            console.log(`Restored ${entries.length} services from registry store`);
+        }
+
+        return entries.length;
     }
 
 
+    /**
+     * Register a service instance
+     * @param {string} name - Service name
+     * @param {string} host - Host the instance listens on
+     * @param {number} port - Port the instance listens on
+     * @param {Object} metadata - Instance metadata, metadata.version is the semver version
+     * @returns {Object} Registered service
+     */
     register(name, host, port, metadata = {}) {
         if (!name || !host || !port) {
             throw new Error('Service registration requires name, host, and port');
@@ -21,28 +79,38 @@ class ServiceRegistry {
 
         const key = this._generateKey(name, host, port);
         const timestamp = Date.now();
+        const version = this._parseVersion(metadata.version);
+
+        if (metadata.version && !version) {
+            throw new ValidationError('Invalid service version', { version: metadata.version });
+        }
 
         // Check if service already exists
         if (this.services[key]) {
-            // Update timestamp
-            this.services[key].timestamp = timestamp;
-            console.log(`Service updated: ${name} at ${host}:${port}`);
+            // Update timestamp, the instance may also have been upgraded in place
+            Object.assign(this.services[key], { timestamp, version, metadata });
+            console.log(`Service updated: ${name}@${version} at ${host}:${port}`);
+            this._persist(this.services[key]);
             return this.services[key];
         }
 
         // Register new service
         const service = {
             name,
+            version,
             host,
             port,
             url: `http://${host}:${port}`,
             timestamp,
             metadata,
+            health: { status: HealthStatus.UNKNOWN, consecutiveFailures: 0, consecutiveSuccesses: 0 },
             key
         };
 
         this.services[key] = service;
-        console.log(`Service registered: ${name} at ${host}:${port}`);
+        console.log(`Service registered: ${name}@${version} at ${host}:${port}`);
+        this._persist(service);
+        this.emit('registered', service);
 
         return service;
     }
@@ -52,16 +120,50 @@ class ServiceRegistry {
         const key = this._generateKey(name, host, port);
 
         if (this.services[key]) {
+            const service = this.services[key];
             delete this.services[key];
             console.log(`Service unregistered: ${name} at ${host}:${port}`);
+            this._unpersist(key);
+            this.emit('unregistered', service);
             return true;
         }
 
         return false;
     }
 
-    findAll(name) {
+
+    heartbeat(name, host, port) {
+        const key = this._generateKey(name, host, port);
+        const service = this.services[key];
+
+        // Unknown or already expired services have to register again
+        if (!service) {
+            return null;
+        }
+
+        if (Date.now() - service.timestamp > this.timeout) {
+            this._expire(key);
+            return null;
+        }
+
+        service.timestamp = Date.now();
+        this._persist(service);
+        return service;
+    }
+
+    /**
+     * Find all live instances of a service that are not DOWN
+     * @param {string} name - Service name
+     * @param {string} range - Semver range the version must satisfy (e.g. ^1.2.0), any version if omitted
+     * @returns {Array<Object>} Matching service instances
+     */
+    findAll(name, range = '*') {
         const now = Date.now();
+        const matchAnyVersion = !range || range === '*';
+
+        if (!matchAnyVersion && !semver.validRange(range)) {
+            throw new Error(`Invalid version range: ${range}`);
+        }
 
         // Find all services matching name and version
         const services = Object.values(this.services).filter(service => {
@@ -71,22 +173,107 @@ class ServiceRegistry {
             }
 
             // Check name
-            return service.name === name;
+            if (service.name !== name) {
+                return false;
+            }
+
+            // Skip instances the health checker found to be down
+            if (service.health && service.health.status === HealthStatus.DOWN) {
+                return false;
+            }
+
+            // Check version, unversioned services only match any version
+            return matchAnyVersion || Boolean(service.version && semver.satisfies(service.version, range));
         });
 
         return services;
     }
 
 
-    find(name) {
-        const services = this.findAll(name);
+    /**
+     * Pick one live instance of a service using its load balancing strategy
+     * @param {string} name - Service name
+     * @param {string} range - Semver range the version must satisfy, any version if omitted
+     * @param {Object} context - Selection context
+     * @param {string} context.key - Request key for sticky (consistent hash) routing
+     * @returns {Object|null} Service instance or null if none is available
+     */
+    find(name, range = '*', context = {}) {
+        // Allow find(name, context)
+        if (range && typeof range === 'object') {
+            context = range;
+            range = '*';
+        }
+
+        const services = this.findAll(name, range);
 
         if (services.length === 0) {
             return null;
         }
 
-        // Return a random service from the list for load balancing
-        return services[Math.floor(Math.random() * services.length)];
+        const strategy = this._getStrategy(name);
+        const service = strategy.select(services, context) || null;
+
+        if (service && typeof strategy.acquire === 'function') {
+            strategy.acquire(service);
+        }
+
+        return service;
+    }
+
+
+    /**
+     * Tell the strategy that a caller is done with an instance returned by find
+     * @param {Object} service - Service instance
+     */
+    release(service) {
+        if (!service) {
+            return;
+        }
+
+        const strategy = this.strategies[service.name];
+
+        if (strategy && typeof strategy.release === 'function') {
+            strategy.release(service);
+        }
+    }
+
+
+    /**
+     * Record the result of a health check for an instance
+     * @param {string} key - Service key
+     * @param {Object} health - Health information, health.status is one of HealthStatus
+     * @returns {Object|null} Updated service or null if it is no longer registered
+     */
+    setHealth(key, health) {
+        const service = this.services[key];
+
+        if (!service) {
+            return null;
+        }
+
+        const previousStatus = service.health ? service.health.status : HealthStatus.UNKNOWN;
+        service.health = health;
+        this._persist(service);
+
+        if (previousStatus !== health.status) {
+            console.log(`Service health changed: ${service.name} at ${service.host}:${service.port} ${previousStatus} -> ${health.status}`);
+            this.emit('health-changed', { service, previous: previousStatus, current: health.status });
+        }
+
+        return service;
+    }
+
+
+    /**
+     * Set the load balancing strategy for a service
+     * @param {string} name - Service name
+     * @param {string|Object} strategy - Strategy name, { type, ...options } or a strategy instance
+     */
+    setStrategy(name, strategy) {
+        this.strategyConfig[name] = strategy;
+        this.strategies[name] = createStrategy(strategy);
+        console.log(`Load balancing strategy set for ${name}`);
     }
 
 
@@ -95,19 +282,77 @@ class ServiceRegistry {
     }
 
 
+    _parseVersion(version) {
+        if (!version) {
+            return null;
+        }
+
+        return semver.valid(version) || semver.valid(semver.coerce(String(version)));
+    }
+
+
+    _getStrategy(name) {
+        if (!this.strategies[name]) {
+            this.strategies[name] = createStrategy(this.strategyConfig[name] || this.defaultStrategy);
+        }
+
+        return this.strategies[name];
+    }
+
+
     _generateKey(name, host, port) {
         return `${name}:${host}:${port}`;
     }
 
 
+    async stop() {
+        if (this.healthChecker) {
+            this.healthChecker.stop();
+        }
+
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+
+        await this.store.close();
+    }
+
+
+    // Writes go to the store in the background, lookups never wait for it
+    _persist(service) {
+        this.store.save(service).catch(error => {
+            console.error(`Failed to persist service ${service.key}:`, error);
+        });
+    }
+
+
+    _unpersist(key) {
+        this.store.remove(key).catch(error => {
+            console.error(`Failed to remove service ${key} from store:`, error);
+        });
+    }
+
+
+    _expire(key) {
+        const service = this.services[key];
+
+        if (service) {
+            delete this.services[key];
+            this._unpersist(key);
+            this.emit('expired', service);
+        }
+    }
+
+
     _startCleanupInterval() {
-        setInterval(() => {
+        this.cleanupTimer = setInterval(() => {
             const now = Date.now();
             let count = 0;
 
             Object.entries(this.services).forEach(([key, service]) => {
                 if (now - service.timestamp > this.timeout) {
-                    delete this.services[key];
+                    this._expire(key);
                     count++;
                 }
             });
@@ -0,0 +1,97 @@
+const dotenv = require('dotenv');
+const semver = require('semver');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Parse versioned route prefixes such as "/api/v1=^1.0.0,/api/v2=^2.0.0"
+ * @param {string} value - Comma separated prefix=range pairs
+ * @returns {Object|null} Map of route prefix to semver range, or null if not set
+ * @throws {Error} If a pair has no prefix or its range is not a valid semver range
+ */
+function parseVersionRoutes(value) {
+    if (!value) {
+        return null;
+    }
+
+    return value.split(',').reduce((result, pair) => {
+        // Ranges such as >=1.0.0 contain '=' themselves, so only split on the first one
+        const index = pair.indexOf('=');
+        const range = pair.slice(index + 1).trim();
+
+        // A typo would otherwise route the prefix to no instance at all
+        if (index <= 0 || !range || !semver.validRange(range)) {
+            throw new Error(`Invalid API_VERSION_ROUTES entry "${pair.trim()}": expected <prefix>=<semver range>`);
+        }
+
+        result[pair.slice(0, index).trim()] = range;
+
+        return result;
+    }, {});
+}
+
+const prefix = process.env.API_PREFIX || '/api/v1';
+
+const config = {
+    service: {
+        name: 'api-gateway',
+        version: process.env.GATEWAY_VERSION || '1.0.0'
+    },
+    server: {
+        port: parseInt(process.env.PORT || process.env.GATEWAY_PORT || '3000'),
+        host: process.env.HOST || 'localhost'
+    },
+    logging: {
+        level: process.env.LOG_LEVEL || 'info'
+    },
+    errors: {
+        // 'json' for the { success, message } envelope or 'problem' for RFC 7807 application/problem+json
+        format: process.env.ERROR_FORMAT || 'json',
+        // Base URL of the error type documentation, problem types are about:blank if not set
+        typeBaseUrl: process.env.ERROR_TYPE_BASE_URL || null
+    },
+    rateLimit: {
+        windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000'),
+        max: parseInt(process.env.RATE_LIMIT_MAX || '100')
+    },
+    registry: {
+        // Path the in-process service registry is exposed on for other services
+        path: process.env.REGISTRY_PATH || '/registry',
+        // Shared token registry writes must carry, without it only the local host can register
+        token: process.env.REGISTRY_TOKEN || null,
+        // Per client IP, an instance sends a heartbeat every REGISTRY_HEARTBEAT_INTERVAL
+        rateLimit: {
+            windowMs: parseInt(process.env.REGISTRY_RATE_LIMIT_WINDOW_MS || '60000'),
+            max: parseInt(process.env.REGISTRY_RATE_LIMIT_MAX || '300')
+        }
+    },
+    loadBalancing: {
+        // Header used as the key for sticky (consistent hash) routing, falls back to the client IP
+        stickyHeader: process.env.STICKY_SESSION_HEADER || 'x-session-id'
+    },
+    routes: {
+        prefix,
+        // Route prefixes and the service versions they are routed to
+        versions: parseVersionRoutes(process.env.API_VERSION_ROUTES) || { [prefix]: '*' }
+    },
+    // Downstream services the gateway proxies to, keyed by registry name
+    services: {
+        api: {
+            url: process.env.API_SERVICE_URL || 'http://localhost:3001',
+            timeout: parseInt(process.env.API_SERVICE_TIMEOUT || '5000'),
+            routes: [
+                { path: '/hello', target: '/api/hello' }
+            ]
+        },
+        otp: {
+            url: process.env.OTP_SERVICE_URL || 'http://localhost:3002',
+            timeout: parseInt(process.env.OTP_SERVICE_TIMEOUT || '5000'),
+            routes: [
+                { path: '/otp', target: '/api/otp' }
+            ]
+        }
+    }
+};
+
+module.exports = config;
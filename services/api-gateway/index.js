@@ -0,0 +1,315 @@
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const axios = require('axios');
+const rateLimit = require('express-rate-limit');
+const { StatusCodes } = require('http-status-codes');
+const HttpService = require('../HttpService');
+const config = require('./config');
+const asyncHandler = require('../../middleware/asyncHandler');
+const createRegistryRouter = require('../../routes/registry.routes');
+
+// Hop-by-hop headers that must not be forwarded by a proxy
+const HOP_BY_HOP_HEADERS = [
+    'connection',
+    'keep-alive',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'te',
+    'trailer',
+    'transfer-encoding',
+    'upgrade'
+];
+
+class ApiGatewayService extends HttpService {
+    constructor(options = {}) {
+        super({
+            name: config.service.name,
+            port: options.port || config.server.port,
+            version: options.version || config.service.version,
+            ...options
+        });
+
+        this.config = config;
+        this.routingTable = {};
+        this.registryWatch = null;
+
+        this._initializeExpress();
+        this._watchRegistry();
+    }
+
+    async stop() {
+        try {
+            // Watch streams never end by themselves and would hold the server open
+            if (this.registryRouter) {
+                this.registryRouter.closeWatchers();
+            }
+
+            await super.stop();
+        } catch (error) {
+            console.error(`[${this.name}] Failed to stop API gateway:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Describe the gateway, with the upstream instances it routes to
+     * @returns {Object} Service name, version, endpoints and upstreams
+     */
+    getServiceInfo() {
+        return {
+            ...super.getServiceInfo(),
+            upstreams: this.routingTable
+        };
+    }
+
+    /**
+     * Add the gateway middleware
+     * Request bodies are not parsed here so proxied requests can be streamed as-is.
+     * @private
+     */
+    _setupMiddleware() {
+        this.app.use(helmet());
+        this.app.use(cors());
+        this.app.use(morgan('dev'));
+
+        // Registry traffic (heartbeats) comes from our own services and has a limit of its own
+        if (this.registry && !this.registry.remote) {
+            this.registryRouter = createRegistryRouter(this.registry, {
+                token: this.config.registry.token,
+                rateLimit: this.config.registry.rateLimit
+            });
+            this.mountRouter(this.config.registry.path, this.registryRouter);
+            console.log(`[${this.name}] Service registry exposed at ${this.config.registry.path}`);
+        }
+
+        this.app.use(rateLimit({
+            windowMs: this.config.rateLimit.windowMs,
+            limit: this.config.rateLimit.max,
+            standardHeaders: 'draft-7',
+            legacyHeaders: false,
+            handler: (req, res) => {
+                res.api.tooMany('Too many requests, please try again later');
+            }
+        }));
+    }
+
+    _setupRoutes() {
+        try {
+            const { prefix } = this.config.routes;
+
+            this._setupProxyRoutes();
+
+            this.addRoute('get', prefix, (req, res) => {
+                res.api.success(this.getServiceInfo());
+            });
+
+            this.addRoute('get', `${prefix}/services`, asyncHandler(async (req, res) => {
+                res.api.success(this.registry ? await this.registry.getAll() : []);
+            }));
+
+            console.log(`[${this.name}] Gateway routes setup complete`);
+        } catch (error) {
+            console.error(`[${this.name}] Failed to setup gateway routes:`, error);
+            throw error;
+        }
+    }
+
+    _setupProxyRoutes() {
+        try {
+            const { versions } = this.config.routes;
+
+            // Mount every service route once per versioned prefix, e.g. /api/v1 -> ^1.0.0
+            Object.entries(versions).forEach(([prefix, range]) => {
+                Object.entries(this.config.services).forEach(([serviceName, service]) => {
+                    service.routes.forEach(route => {
+                        const path = `${prefix}${route.path}`;
+
+                        this.mountRouter(path, this._createProxy(serviceName, service, route, range), { service: serviceName, range });
+
+                        console.log(`[${this.name}] Proxying ${path} -> ${serviceName}@${range}${route.target}`);
+                    });
+                });
+            });
+        } catch (error) {
+            console.error(`[${this.name}] Failed to setup proxy routes:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a middleware that forwards requests to a downstream service
+     * @param {string} serviceName - Registry name of the downstream service
+     * @param {Object} service - Service configuration (url, timeout)
+     * @param {Object} route - Route configuration (path, target)
+     * @param {string} range - Semver range of the service versions to route to
+     * @returns {Function} Express middleware
+     * @private
+     */
+    _createProxy(serviceName, service, route, range = '*') {
+        return async (req, res, next) => {
+            let url = `${service.url}${route.target}`;
+            let instance = null;
+
+            try {
+                instance = await this._findInstance(serviceName, range, req);
+
+                // The configured URL is only a fallback when any version will do
+                if (!instance && range !== '*') {
+                    return res.api.error(
+                        `No instances of ${serviceName} matching ${range} are available`,
+                        StatusCodes.SERVICE_UNAVAILABLE
+                    );
+                }
+
+                const baseUrl = instance ? instance.url : service.url;
+                // req.url is relative to the mount path and keeps the query string
+                url = `${baseUrl}${route.target}${req.url === '/' ? '' : req.url}`;
+
+                const response = await axios.request({
+                    method: req.method,
+                    url,
+                    headers: this._buildForwardHeaders(req),
+                    data: this._hasBody(req) ? req : undefined,
+                    timeout: service.timeout,
+                    responseType: 'arraybuffer',
+                    maxRedirects: 0,
+                    validateStatus: () => true
+                });
+
+                Object.entries(response.headers).forEach(([header, value]) => {
+                    if (!HOP_BY_HOP_HEADERS.includes(header.toLowerCase())) {
+                        res.setHeader(header, value);
+                    }
+                });
+
+                res.status(response.status).send(response.data);
+            } catch (error) {
+                console.error(`[${this.name}] Proxy error for ${serviceName} (${url}):`, error.message);
+
+                if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+                    return res.api.error(`Service ${serviceName} timed out`, StatusCodes.GATEWAY_TIMEOUT);
+                }
+
+                return res.api.error(`Service ${serviceName} is unavailable`, StatusCodes.BAD_GATEWAY);
+            } finally {
+                if (instance) {
+                    this.registry.release(instance);
+                }
+            }
+        };
+    }
+
+    /**
+     * Pick a registered instance of a service for a request
+     * @param {string} serviceName - Registry name of the service
+     * @param {string} range - Semver range the instance version must satisfy
+     * @param {Object} req - Express request object
+     * @returns {Promise<Object|null>} Instance or null to use the configured URL
+     * @private
+     */
+    async _findInstance(serviceName, range, req) {
+        if (!this.registry) {
+            return null;
+        }
+
+        const key = req.get(this.config.loadBalancing.stickyHeader) || req.ip;
+        return this.registry.find(serviceName, range, { key });
+    }
+
+    _buildForwardHeaders(req) {
+        const headers = {};
+
+        Object.entries(req.headers).forEach(([header, value]) => {
+            if (header !== 'host' && !HOP_BY_HOP_HEADERS.includes(header)) {
+                headers[header] = value;
+            }
+        });
+
+        headers['x-forwarded-for'] = req.headers['x-forwarded-for']
+            ? `${req.headers['x-forwarded-for']}, ${req.ip}`
+            : req.ip;
+        headers['x-forwarded-host'] = req.headers.host;
+        headers['x-forwarded-proto'] = req.protocol;
+
+        return headers;
+    }
+
+    _hasBody(req) {
+        return Boolean(req.headers['content-length'] && req.headers['content-length'] !== '0')
+            || Boolean(req.headers['transfer-encoding']);
+    }
+
+    /**
+     * Keep the routing table in sync with registry changes
+     * @private
+     */
+    _watchRegistry() {
+        if (!this.registry) {
+            return;
+        }
+
+        const events = ['registered', 'unregistered', 'expired', 'health-changed'];
+        const rebuild = () => {
+            this._rebuildRoutingTable().catch(error => {
+                console.error(`[${this.name}] Failed to rebuild routing table:`, error);
+            });
+        };
+
+        if (typeof this.registry.watch === 'function') {
+            this.registryWatch = this.registry.watch(rebuild);
+        } else {
+            events.forEach(event => this.registry.on(event, rebuild));
+            this.registryWatch = {
+                close: () => events.forEach(event => this.registry.off(event, rebuild))
+            };
+        }
+
+        rebuild();
+    }
+
+    /**
+     * Rebuild the table of available upstream instances per proxied service
+     * @private
+     */
+    async _rebuildRoutingTable() {
+        const routingTable = {};
+
+        for (const serviceName of Object.keys(this.config.services)) {
+            const instances = await this.registry.findAll(serviceName);
+
+            routingTable[serviceName] = instances.map(instance => ({
+                url: instance.url,
+                version: instance.version,
+                status: instance.health ? instance.health.status : null
+            }));
+        }
+
+        this.routingTable = routingTable;
+        console.log(`[${this.name}] Routing table updated: ${Object.entries(routingTable)
+            .map(([serviceName, instances]) => `${serviceName}=${instances.length}`).join(', ')}`);
+    }
+
+    async _cleanup() {
+        try {
+            console.log(`[${this.name}] Cleaning up resources`);
+
+            if (this.registryWatch) {
+                this.registryWatch.close();
+                this.registryWatch = null;
+            }
+
+            // The gateway hosts the registry, flush its store before exiting
+            if (this.registry && !this.registry.remote) {
+                await this.registry.stop();
+            }
+
+            await super._cleanup();
+        } catch (error) {
+            console.error(`[${this.name}] Error during cleanup:`, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ApiGatewayService;
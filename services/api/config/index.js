@@ -15,10 +15,20 @@ const config = {
     logging: {
         level: process.env.API_LOG_LEVEL || 'info'
     },
+    errors: {
+        // 'json' for the { success, message } envelope or 'problem' for RFC 7807 application/problem+json
+        format: process.env.ERROR_FORMAT || 'json',
+        // Base URL of the error type documentation, problem types are about:blank if not set
+        typeBaseUrl: process.env.ERROR_TYPE_BASE_URL || null
+    },
     queues: {
         requests: 'api.requests',
         responses: 'api.responses'
     },
+    subscriptions: [
+        { exchange: 'otp.events', pattern: 'otp.verified' },
+        { exchange: 'otp.events', pattern: 'otp.delivery.*' }
+    ],
     routes: {
         prefix: '/api'
     }
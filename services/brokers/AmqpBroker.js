@@ -0,0 +1,50 @@
+const EventEmitter = require('events');
+
+const CONNECTION_EVENTS = ['connected', 'disconnected', 'reconnect-failed'];
+
+/**
+ * AMQP Broker
+ * Message broker backed by a RabbitMQ server through amqplib. Re-emits the
+ * connection events of config/rabbitmq so services can pick up the new channel
+ * after a reconnect.
+ */
+class AmqpBroker extends EventEmitter {
+
+    /**
+     * Create a new AmqpBroker
+     * @param {Object} options - Broker options
+     * @param {boolean} options.confirm - Open the channel in confirm mode
+     */
+    constructor(options = {}) {
+        super();
+
+        // Required lazily so the in-memory broker works without amqplib installed
+        this.rabbitmq = require('../../config/rabbitmq');
+        this.rabbitmq.confirm = Boolean(options.confirm);
+
+        CONNECTION_EVENTS.forEach(event => {
+            this.rabbitmq.on(event, (...args) => this.emit(event, ...args));
+        });
+    }
+
+
+    /**
+     * Connect to RabbitMQ
+     * @returns {Promise<Object>} The amqplib connection and channel, null until connected
+     */
+    async connect() {
+        await this.rabbitmq.connect();
+
+        return {
+            connection: this.rabbitmq.connection,
+            channel: this.rabbitmq.channel
+        };
+    }
+
+
+    async close() {
+        await this.rabbitmq.close();
+    }
+}
+
+module.exports = AmqpBroker;
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File Outbox
+ * Keeps messages that could not be published in a JSON lines file, so they
+ * survive a restart and can be published once the broker is back. New
+ * messages are appended; a flush rewrites the file atomically with whatever
+ * could not be sent.
+ */
+class FileOutbox {
+    /**
+     * Create a new FileOutbox
+     * @param {Object} options - Outbox options
+     * @param {string} options.filePath - Outbox file path
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || path.join(process.cwd(), 'data', 'outbox.jsonl');
+        this.entries = null;
+        // Serialize file operations so a flush never drops a message added meanwhile
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Store a message
+     * @param {Object} entry - Message: exchange, routingKey, content (Buffer) and options
+     * @returns {Promise<void>}
+     */
+    add(entry) {
+        return this._serialize(async () => {
+            await this._load();
+
+            const record = {
+                ...entry,
+                content: entry.content.toString('base64'),
+                storedAt: new Date().toISOString()
+            };
+
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.appendFile(this.filePath, `${JSON.stringify(record)}\n`);
+            this.entries.push(record);
+        });
+    }
+
+    /**
+     * Number of stored messages
+     * @returns {Promise<number>}
+     */
+    size() {
+        return this._serialize(async () => {
+            await this._load();
+            return this.entries.length;
+        });
+    }
+
+    /**
+     * Send the stored messages in order
+     * Stops at the first failure so messages keep their order; the failed
+     * message and everything after it stay in the outbox.
+     * @param {Function} send - Called with each entry (content as a Buffer), may return a promise
+     * @returns {Promise<Object>} Number of sent and remaining messages
+     */
+    flush(send) {
+        return this._serialize(async () => {
+            await this._load();
+
+            let sent = 0;
+            let lastError = null;
+
+            for (const record of this.entries) {
+                try {
+                    await send({ ...record, content: Buffer.from(record.content, 'base64') });
+                    sent++;
+                } catch (error) {
+                    lastError = error;
+                    break;
+                }
+            }
+
+            if (sent > 0) {
+                this.entries = this.entries.slice(sent);
+                await this._write();
+            }
+
+            return { sent, remaining: this.entries.length, error: lastError };
+        });
+    }
+
+    _serialize(operation) {
+        const result = this.pending.then(operation);
+        this.pending = result.catch(() => {});
+        return result;
+    }
+
+    async _load() {
+        if (this.entries) {
+            return;
+        }
+
+        try {
+            const content = await fs.promises.readFile(this.filePath, 'utf8');
+
+            // A crash while appending can leave a partial last line behind
+            this.entries = content.split('\n').filter(Boolean).reduce((entries, line) => {
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (error) {
+                    console.error(`Skipping corrupt outbox entry in ${this.filePath}`);
+                }
+                return entries;
+            }, []);
+
+            if (this.entries.length > 0) {
+                console.log(`Loaded ${this.entries.length} messages from outbox ${this.filePath}`);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            this.entries = [];
+        }
+    }
+
+    async _write() {
+        if (this.entries.length === 0) {
+            await fs.promises.rm(this.filePath, { force: true });
+            return;
+        }
+
+        const tempPath = `${this.filePath}.tmp`;
+        const content = this.entries.map(record => `${JSON.stringify(record)}\n`).join('');
+
+        await fs.promises.writeFile(tempPath, content);
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+}
+
+module.exports = FileOutbox;
@@ -0,0 +1,610 @@
+const EventEmitter = require('events');
+
+/**
+ * Match a topic routing key against a binding pattern
+ * `*` matches exactly one word and `#` matches zero or more words.
+ * @param {string} pattern - Binding pattern
+ * @param {string} routingKey - Routing key
+ * @returns {boolean} True if the key matches
+ */
+function matchTopic(pattern, routingKey) {
+    const patternWords = pattern.split('.');
+    const keyWords = routingKey.split('.');
+
+    const match = (p, k) => {
+        if (p === patternWords.length) {
+            return k === keyWords.length;
+        }
+
+        if (patternWords[p] === '#') {
+            for (let i = k; i <= keyWords.length; i++) {
+                if (match(p + 1, i)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        if (k === keyWords.length) {
+            return false;
+        }
+
+        return (patternWords[p] === '*' || patternWords[p] === keyWords[k]) && match(p + 1, k + 1);
+    };
+
+    return match(0, 0);
+}
+
+/**
+ * In-Memory Channel
+ * Implements the subset of the amqplib channel API used by BaseService on top
+ * of an InMemoryBroker, so services can run without RabbitMQ.
+ */
+class InMemoryChannel extends EventEmitter {
+    constructor(broker) {
+        super();
+        this.broker = broker;
+        this.prefetchCount = 0;
+        this.consumerTags = new Set();
+        this.closed = false;
+    }
+
+    async assertQueue(queueName, options = {}) {
+        const queue = this.broker._assertQueue(queueName, options);
+        return { queue: queue.name, messageCount: queue.messages.length, consumerCount: queue.consumers.length };
+    }
+
+    async checkQueue(queueName) {
+        const queue = this.broker._getQueue(queueName);
+        return { queue: queue.name, messageCount: queue.messages.length, consumerCount: queue.consumers.length };
+    }
+
+    async deleteQueue(queueName) {
+        const queue = this.broker.queues.get(queueName);
+        const messageCount = queue ? queue.messages.length : 0;
+
+        this.broker._deleteQueue(queueName);
+        return { messageCount };
+    }
+
+    async purgeQueue(queueName) {
+        const queue = this.broker._getQueue(queueName);
+        const messageCount = queue.messages.length;
+
+        queue.messages = [];
+        return { messageCount };
+    }
+
+    async assertExchange(exchangeName, type = 'direct', options = {}) {
+        this.broker._assertExchange(exchangeName, type, options);
+        return { exchange: exchangeName };
+    }
+
+    async bindQueue(queueName, exchangeName, pattern = '') {
+        this.broker._bindQueue(queueName, exchangeName, pattern);
+        return {};
+    }
+
+    async unbindQueue(queueName, exchangeName, pattern = '') {
+        this.broker._unbindQueue(queueName, exchangeName, pattern);
+        return {};
+    }
+
+    async prefetch(count) {
+        this.prefetchCount = count || 0;
+        return {};
+    }
+
+    sendToQueue(queueName, content, options = {}) {
+        this._checkOpen();
+        this.broker._enqueue(queueName, content, { exchange: '', routingKey: queueName }, options);
+        return true;
+    }
+
+    publish(exchangeName, routingKey, content, options = {}) {
+        this._checkOpen();
+        this.broker._publish(exchangeName, routingKey, content, options);
+        return true;
+    }
+
+    async consume(queueName, onMessage, options = {}) {
+        this._checkOpen();
+        const consumerTag = options.consumerTag || this.broker._nextConsumerTag();
+
+        this.broker._addConsumer(queueName, {
+            tag: consumerTag,
+            channel: this,
+            onMessage,
+            noAck: Boolean(options.noAck),
+            // Like amqplib, the channel prefetch applies to consumers created after it is set
+            prefetch: this.prefetchCount,
+            unacked: 0
+        });
+        this.consumerTags.add(consumerTag);
+
+        return { consumerTag };
+    }
+
+    async cancel(consumerTag) {
+        this.broker._removeConsumer(consumerTag);
+        this.consumerTags.delete(consumerTag);
+        return { consumerTag };
+    }
+
+    async get(queueName, options = {}) {
+        this._checkOpen();
+        return this.broker._get(queueName, this, Boolean(options.noAck));
+    }
+
+    ack(msg, allUpTo = false) {
+        this.broker._settle(this, msg, allUpTo, (delivery) => this.broker._ack(delivery));
+    }
+
+    ackAll() {
+        this.broker._settleAll(this, (delivery) => this.broker._ack(delivery));
+    }
+
+    nack(msg, allUpTo = false, requeue = true) {
+        this.broker._settle(this, msg, allUpTo, (delivery) => this.broker._reject(delivery, requeue));
+    }
+
+    nackAll(requeue = true) {
+        this.broker._settleAll(this, (delivery) => this.broker._reject(delivery, requeue));
+    }
+
+    reject(msg, requeue = true) {
+        this.nack(msg, false, requeue);
+    }
+
+    async close() {
+        if (this.closed) {
+            return;
+        }
+
+        this.consumerTags.forEach(tag => this.broker._removeConsumer(tag));
+        this.consumerTags.clear();
+
+        // Unacknowledged messages go back to their queues, as with a closed AMQP channel
+        this.broker._settleAll(this, (delivery) => this.broker._reject(delivery, true));
+        this.broker._removeExclusiveQueues(this);
+
+        this.closed = true;
+        this.emit('close');
+    }
+
+    _checkOpen() {
+        if (this.closed) {
+            throw new Error('Channel closed');
+        }
+    }
+}
+
+/**
+ * In-Memory Confirm Channel
+ * Channel in confirm mode: publish callbacks are called once the message is
+ * queued, like the acks of an amqplib ConfirmChannel.
+ */
+class InMemoryConfirmChannel extends InMemoryChannel {
+
+    sendToQueue(queueName, content, options = {}, callback) {
+        const result = super.sendToQueue(queueName, content, options);
+        this._confirm(callback);
+        return result;
+    }
+
+    publish(exchangeName, routingKey, content, options = {}, callback) {
+        const result = super.publish(exchangeName, routingKey, content, options);
+        this._confirm(callback);
+        return result;
+    }
+
+    async waitForConfirms() {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    _confirm(callback) {
+        if (callback) {
+            setImmediate(() => callback(null));
+        }
+    }
+}
+
+/**
+ * In-Memory Broker
+ * In-process message broker with queues, direct/topic/fanout exchanges,
+ * ack/nack with requeue, prefetch, message and queue TTLs and dead-lettering.
+ * Only services in the same process can talk to each other through it, which
+ * is enough for local development and tests.
+ */
+class InMemoryBroker extends EventEmitter {
+    /**
+     * Create a new InMemoryBroker
+     * @param {Object} options - Broker options
+     * @param {boolean} options.confirm - Hand out channels in confirm mode
+     */
+    constructor(options = {}) {
+        super();
+        this.confirm = Boolean(options.confirm);
+        this.queues = new Map();
+        this.exchanges = new Map();
+        this.unacked = new Map();
+        this.channels = new Set();
+        this.deliveryTag = 0;
+        this.consumerTag = 0;
+        this.queueCounter = 0;
+
+        this._assertExchange('', 'direct');
+        this._assertExchange('amq.topic', 'topic');
+        this._assertExchange('amq.direct', 'direct');
+        this._assertExchange('amq.fanout', 'fanout');
+    }
+
+    /**
+     * Connect to the broker
+     * @returns {Promise<Object>} Connection (the broker itself) and a new channel
+     */
+    async connect() {
+        const channel = this.confirm ? await this.createConfirmChannel() : await this.createChannel();
+        console.log('Connected to in-memory message broker');
+        return { connection: this, channel };
+    }
+
+    async createChannel() {
+        return this._addChannel(new InMemoryChannel(this));
+    }
+
+    async createConfirmChannel() {
+        return this._addChannel(new InMemoryConfirmChannel(this));
+    }
+
+    async close() {
+        await Promise.all([...this.channels].map(channel => channel.close()));
+        this.queues.forEach(queue => queue.timers.forEach(timer => clearTimeout(timer)));
+        this.emit('close');
+    }
+
+    _addChannel(channel) {
+        this.channels.add(channel);
+        channel.once('close', () => this.channels.delete(channel));
+        return channel;
+    }
+
+    _nextConsumerTag() {
+        return `memory.ctag-${++this.consumerTag}`;
+    }
+
+    _assertQueue(queueName, options = {}) {
+        const name = queueName || `amq.gen-${++this.queueCounter}`;
+
+        if (!this.queues.has(name)) {
+            this.queues.set(name, {
+                name,
+                options,
+                args: options.arguments || {},
+                owner: null,
+                messages: [],
+                consumers: [],
+                timers: new Set(),
+                nextConsumer: 0
+            });
+        }
+
+        return this.queues.get(name);
+    }
+
+    _getQueue(queueName) {
+        const queue = this.queues.get(queueName);
+
+        if (!queue) {
+            throw new Error(`NOT_FOUND - no queue '${queueName}'`);
+        }
+
+        return queue;
+    }
+
+    _deleteQueue(queueName) {
+        const queue = this.queues.get(queueName);
+
+        if (queue) {
+            queue.timers.forEach(timer => clearTimeout(timer));
+            this.queues.delete(queueName);
+            this.exchanges.forEach(exchange => {
+                exchange.bindings = exchange.bindings.filter(binding => binding.queue !== queueName);
+            });
+        }
+    }
+
+    _removeExclusiveQueues(channel) {
+        this.queues.forEach(queue => {
+            if (queue.options.exclusive && queue.consumers.length === 0 && queue.owner === channel) {
+                this._deleteQueue(queue.name);
+            }
+        });
+    }
+
+    _assertExchange(exchangeName, type = 'direct', options = {}) {
+        if (!this.exchanges.has(exchangeName)) {
+            this.exchanges.set(exchangeName, { name: exchangeName, type, options, bindings: [] });
+        }
+
+        return this.exchanges.get(exchangeName);
+    }
+
+    _bindQueue(queueName, exchangeName, pattern) {
+        const exchange = this.exchanges.get(exchangeName);
+
+        if (!exchange) {
+            throw new Error(`NOT_FOUND - no exchange '${exchangeName}'`);
+        }
+        this._getQueue(queueName);
+
+        const exists = exchange.bindings.some(binding => binding.queue === queueName && binding.pattern === pattern);
+        if (!exists) {
+            exchange.bindings.push({ queue: queueName, pattern });
+        }
+    }
+
+    _unbindQueue(queueName, exchangeName, pattern) {
+        const exchange = this.exchanges.get(exchangeName);
+
+        if (exchange) {
+            exchange.bindings = exchange.bindings.filter(binding =>
+                !(binding.queue === queueName && binding.pattern === pattern));
+        }
+    }
+
+    _route(exchangeName, routingKey) {
+        // The default exchange routes straight to the queue named by the routing key
+        if (exchangeName === '') {
+            return this.queues.has(routingKey) ? [routingKey] : [];
+        }
+
+        const exchange = this.exchanges.get(exchangeName);
+
+        if (!exchange) {
+            throw new Error(`NOT_FOUND - no exchange '${exchangeName}'`);
+        }
+
+        const queues = exchange.bindings
+            .filter(binding => {
+                if (exchange.type === 'fanout') {
+                    return true;
+                }
+                if (exchange.type === 'topic') {
+                    return matchTopic(binding.pattern, routingKey);
+                }
+                return binding.pattern === routingKey;
+            })
+            .map(binding => binding.queue);
+
+        return [...new Set(queues)];
+    }
+
+    _publish(exchangeName, routingKey, content, options = {}) {
+        this._route(exchangeName, routingKey).forEach(queueName => {
+            this._enqueue(queueName, content, { exchange: exchangeName, routingKey }, options);
+        });
+    }
+
+    _enqueue(queueName, content, fields, options = {}, redelivered = false) {
+        const queue = this.queues.get(queueName);
+
+        // Unroutable messages are dropped, as with a non-mandatory AMQP publish
+        if (!queue) {
+            return;
+        }
+
+        const { expiration, ...properties } = options;
+        const message = {
+            content: Buffer.from(content),
+            fields: { ...fields, redelivered },
+            properties: {
+                headers: {},
+                ...properties,
+                ...(expiration !== undefined ? { expiration } : {})
+            }
+        };
+
+        const ttl = this._getTtl(queue, expiration);
+        if (ttl !== null) {
+            const timer = setTimeout(() => {
+                queue.timers.delete(timer);
+                const index = queue.messages.indexOf(message);
+                if (index !== -1) {
+                    queue.messages.splice(index, 1);
+                    this._deadLetter(queue, message, 'expired');
+                }
+            }, ttl);
+            if (timer.unref) {
+                timer.unref();
+            }
+            queue.timers.add(timer);
+        }
+
+        queue.messages.push(message);
+        this._scheduleDispatch(queue);
+    }
+
+    _getTtl(queue, expiration) {
+        const ttls = [queue.args['x-message-ttl'], expiration]
+            .filter(value => value !== undefined && value !== null && value !== '')
+            .map(value => parseInt(value));
+
+        return ttls.length > 0 ? Math.min(...ttls) : null;
+    }
+
+    _deadLetter(queue, message, reason) {
+        const exchangeName = queue.args['x-dead-letter-exchange'];
+
+        if (exchangeName === undefined) {
+            return;
+        }
+
+        const routingKey = queue.args['x-dead-letter-routing-key'] || message.fields.routingKey;
+        const { expiration, ...properties } = message.properties;
+        const headers = {
+            ...properties.headers,
+            'x-death': [{ queue: queue.name, reason, time: new Date() }, ...(properties.headers['x-death'] || [])]
+        };
+
+        try {
+            this._publish(exchangeName, routingKey, message.content, { ...properties, headers });
+        } catch (error) {
+            console.error(`Failed to dead-letter message from ${queue.name}:`, error.message);
+        }
+    }
+
+    _addConsumer(queueName, consumer) {
+        const queue = this._getQueue(queueName);
+
+        if (queue.options.exclusive && !queue.owner) {
+            queue.owner = consumer.channel;
+        }
+
+        consumer.queue = queueName;
+        queue.consumers.push(consumer);
+        this._scheduleDispatch(queue);
+    }
+
+    _removeConsumer(consumerTag) {
+        this.queues.forEach(queue => {
+            queue.consumers = queue.consumers.filter(consumer => consumer.tag !== consumerTag);
+        });
+    }
+
+    _scheduleDispatch(queue) {
+        if (queue.dispatchScheduled) {
+            return;
+        }
+
+        queue.dispatchScheduled = true;
+        setImmediate(() => {
+            queue.dispatchScheduled = false;
+            this._dispatch(queue);
+        });
+    }
+
+    _dispatch(queue) {
+        while (queue.messages.length > 0) {
+            const consumer = this._nextReadyConsumer(queue);
+
+            if (!consumer) {
+                return;
+            }
+
+            const message = queue.messages.shift();
+            const delivery = this._deliver(queue, message, consumer.channel, consumer.noAck, consumer);
+
+            try {
+                const result = consumer.onMessage(delivery);
+                if (result && typeof result.catch === 'function') {
+                    result.catch(error => console.error(`Unhandled error in consumer ${consumer.tag}:`, error));
+                }
+            } catch (error) {
+                console.error(`Unhandled error in consumer ${consumer.tag}:`, error);
+            }
+        }
+    }
+
+    _nextReadyConsumer(queue) {
+        const count = queue.consumers.length;
+
+        for (let i = 0; i < count; i++) {
+            const consumer = queue.consumers[(queue.nextConsumer + i) % count];
+
+            if (consumer.noAck || !consumer.prefetch || consumer.unacked < consumer.prefetch) {
+                queue.nextConsumer = (queue.nextConsumer + i + 1) % count;
+                return consumer;
+            }
+        }
+
+        return null;
+    }
+
+    _deliver(queue, message, channel, noAck, consumer = null) {
+        const deliveryTag = ++this.deliveryTag;
+        const delivery = {
+            content: message.content,
+            fields: {
+                ...message.fields,
+                deliveryTag,
+                consumerTag: consumer ? consumer.tag : undefined
+            },
+            properties: message.properties
+        };
+
+        if (!noAck) {
+            this.unacked.set(deliveryTag, { queue, message, channel, consumer, delivery });
+            if (consumer) {
+                consumer.unacked++;
+            }
+        }
+
+        return delivery;
+    }
+
+    _get(queueName, channel, noAck) {
+        const queue = this._getQueue(queueName);
+        const message = queue.messages.shift();
+
+        if (!message) {
+            return false;
+        }
+
+        return this._deliver(queue, message, channel, noAck);
+    }
+
+    _settle(channel, msg, allUpTo, settle) {
+        const deliveryTag = msg.fields.deliveryTag;
+
+        if (!this.unacked.has(deliveryTag)) {
+            throw new Error(`PRECONDITION_FAILED - unknown delivery tag ${deliveryTag}`);
+        }
+
+        const tags = allUpTo
+            ? [...this.unacked.keys()].filter(tag => tag <= deliveryTag && this.unacked.get(tag).channel === channel)
+            : [deliveryTag];
+
+        tags.forEach(tag => settle(this.unacked.get(tag)));
+    }
+
+    _settleAll(channel, settle) {
+        [...this.unacked.values()]
+            .filter(delivery => delivery.channel === channel)
+            .forEach(delivery => settle(delivery));
+    }
+
+    _release(delivery) {
+        this.unacked.delete(delivery.delivery.fields.deliveryTag);
+
+        if (delivery.consumer) {
+            delivery.consumer.unacked--;
+        }
+    }
+
+    _ack(delivery) {
+        this._release(delivery);
+        this._scheduleDispatch(delivery.queue);
+    }
+
+    _reject(delivery, requeue) {
+        this._release(delivery);
+        const { queue, message } = delivery;
+
+        if (requeue && this.queues.has(queue.name)) {
+            // Requeued messages go back to the head of the queue
+            message.fields = { ...message.fields, redelivered: true };
+            queue.messages.unshift(message);
+        } else {
+            this._deadLetter(queue, message, 'rejected');
+        }
+
+        this._scheduleDispatch(queue);
+    }
+}
+
+InMemoryBroker.InMemoryChannel = InMemoryChannel;
+InMemoryBroker.InMemoryConfirmChannel = InMemoryConfirmChannel;
+InMemoryBroker.matchTopic = matchTopic;
+
+module.exports = InMemoryBroker;
@@ -0,0 +1,103 @@
+const Joi = require('joi');
+
+/**
+ * Message Schema Registry
+ * Holds Joi schemas for message payloads keyed by message type and version, so
+ * one queue can carry several kinds of messages. Can be passed as the `schema`
+ * option of BaseService.consumeFromQueue and publishToQueue.
+ *
+ * By default the type is read from the `type` message property, or the `type`
+ * or `action` field of the payload, and the version from the
+ * `x-message-version` header or the `version` field of the payload (default 1).
+ */
+class MessageSchemaRegistry {
+    /**
+     * Create a new MessageSchemaRegistry
+     * @param {Object} options - Registry options
+     * @param {Function} options.typeOf - Called with (payload, properties), returns the message type
+     * @param {Function} options.versionOf - Called with (payload, properties), returns the message version
+     * @param {Object} options.validation - Options passed on to Joi's validate
+     */
+    constructor(options = {}) {
+        this.schemas = new Map();
+        this.typeOf = options.typeOf || MessageSchemaRegistry.defaultTypeOf;
+        this.versionOf = options.versionOf || MessageSchemaRegistry.defaultVersionOf;
+        this.validation = { abortEarly: false, ...options.validation };
+    }
+
+
+    /**
+     * Register the schema of a message type
+     * @param {string} type - Message type
+     * @param {Object} schema - Joi schema
+     * @param {string|number} version - Message version
+     * @returns {MessageSchemaRegistry} The registry, for chaining
+     */
+    register(type, schema, version = 1) {
+        if (!Joi.isSchema(schema)) {
+            throw new Error(`Schema for message type ${type} must be a Joi schema`);
+        }
+
+        this.schemas.set(this._key(type, version), schema);
+        return this;
+    }
+
+
+    get(type, version = 1) {
+        return this.schemas.get(this._key(type, version)) || null;
+    }
+
+
+    /**
+     * Validate a message against the schema of its type and version
+     * @param {*} payload - Parsed message payload
+     * @param {Object} properties - Message properties
+     * @returns {Object} Joi result, { value, error }
+     */
+    validate(payload, properties = {}) {
+        const type = this.typeOf(payload, properties);
+        const version = this.versionOf(payload, properties);
+        const schema = type !== undefined && type !== null ? this.get(type, version) : null;
+
+        if (!schema) {
+            // Reported like a Joi error so callers handle both the same way
+            const message = type === undefined || type === null
+                ? 'Message type is missing'
+                : `No schema registered for message type ${type} (version ${version})`;
+
+            return {
+                value: payload,
+                error: { message, details: [{ path: ['type'], message }] }
+            };
+        }
+
+        return schema.validate(payload, this.validation);
+    }
+
+
+    _key(type, version) {
+        return `${type}@${version}`;
+    }
+
+
+    static defaultTypeOf(payload, properties = {}) {
+        if (properties.type) {
+            return properties.type;
+        }
+
+        return payload && typeof payload === 'object' ? (payload.type || payload.action) : undefined;
+    }
+
+
+    static defaultVersionOf(payload, properties = {}) {
+        const headers = properties.headers || {};
+
+        if (headers['x-message-version'] !== undefined) {
+            return headers['x-message-version'];
+        }
+
+        return (payload && typeof payload === 'object' && payload.version) || 1;
+    }
+}
+
+module.exports = MessageSchemaRegistry;
@@ -0,0 +1,41 @@
+const AmqpBroker = require('./AmqpBroker');
+const InMemoryBroker = require('./InMemoryBroker');
+const FileOutbox = require('./FileOutbox');
+
+const brokers = {
+    'amqp': AmqpBroker,
+    'memory': InMemoryBroker
+};
+
+// Services in one process share one broker so they can reach each other's queues
+const instances = {};
+
+/**
+ * Get the message broker of the given type
+ * Both brokers hand out channels with the amqplib channel API, so services
+ * work the same way on either.
+ * @param {string} type - Broker type: amqp or memory
+ * @param {Object} options - Broker options
+ * @param {boolean} options.confirm - Use channels in confirm mode
+ * @returns {AmqpBroker|InMemoryBroker} Broker instance
+ */
+function createMessageBroker(type = 'amqp', options = {}) {
+    const BrokerClass = brokers[type];
+
+    if (!BrokerClass) {
+        throw new Error(`Unknown message broker: ${type}`);
+    }
+
+    if (!instances[type]) {
+        instances[type] = new BrokerClass(options);
+    }
+
+    return instances[type];
+}
+
+module.exports = {
+    AmqpBroker,
+    InMemoryBroker,
+    FileOutbox,
+    createMessageBroker
+};
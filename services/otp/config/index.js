@@ -2,6 +2,23 @@ const dotenv = require('dotenv');
 
 dotenv.config();
 
+/**
+ * Parse an Express "trust proxy" value from the environment
+ * @param {string} value - Hop count, true/false, or comma separated addresses, subnets and names
+ * @returns {number|boolean|string} trust proxy setting, only loopback proxies if not set
+ */
+const parseTrustProxy = (value) => {
+    if (!value) {
+        return 'loopback';
+    }
+
+    if (/^\d+$/.test(value)) {
+        return parseInt(value);
+    }
+
+    return value === 'true' || value === 'false' ? value === 'true' : value;
+};
+
 const config = {
     service: {
         name: 'otp-service',
@@ -9,20 +26,29 @@ const config = {
     },
     server: {
         port: parseInt(process.env.OTP_PORT || '3002'),
-        host: process.env.OTP_HOST || 'localhost'
+        host: process.env.OTP_HOST || 'localhost',
+        // Proxies whose X-Forwarded-For is trusted for req.ip, which the per-IP OTP limit counts by.
+        // Only a gateway on the same host is trusted by default, other proxies have to be listed
+        trustProxy: parseTrustProxy(process.env.OTP_TRUST_PROXY)
     },
     logging: {
         level: process.env.OTP_LOG_LEVEL || 'info'
     },
+    errors: {
+        // 'json' for the { success, message } envelope or 'problem' for RFC 7807 application/problem+json
+        format: process.env.ERROR_FORMAT || 'json',
+        // Base URL of the error type documentation, problem types are about:blank if not set
+        typeBaseUrl: process.env.ERROR_TYPE_BASE_URL || null
+    },
     queues: {
         requests: 'otp.requests',
-        responses: 'otp.responses'
+        responses: 'otp.responses',
+        deliveries: 'otp.deliveries'
     },
-    otp: {
-        expiryMinutes: parseInt(process.env.OTP_EXPIRY_MINUTES || '10'),
-        length: parseInt(process.env.OTP_LENGTH || '6'),
-        type: process.env.OTP_TYPE || 'numeric'
+    exchanges: {
+        events: 'otp.events'
     }
+    // OTP settings are layered over the service config file, see ./otp.js
 };
 
 module.exports = config;
\ No newline at end of file
@@ -0,0 +1,290 @@
+const fs = require('fs');
+const Joi = require('joi');
+const { ValidationError } = require('../../../utils/errors');
+const { formatJoiErrors } = require('../../../utils/validation');
+
+/**
+ * OTP configuration
+ * Built from three layers, each overriding the one before it:
+ * 1. The defaults below
+ * 2. The per-environment service config file (config/<env>-service-config.json)
+ * 3. OTP_* and SMTP_* environment variables
+ * Purposes (login, password-reset, transaction or any configured one)
+ * override the OTP policy for the OTPs requested with that purpose. Resend
+ * cooldowns, generation limits and lockouts are counted by purpose and
+ * identifier, except the per-IP limit, which spans all identifiers. The legacy sendEmail, sendSMS and
+ * emailConfig keys of the config file map onto delivery and templates.
+ */
+const DEFAULT_OTP_CONFIG = {
+    length: 6,
+    type: 'numeric', // numeric, alphanumeric
+    expiresIn: 600, // seconds
+    maxAttempts: 3, // verification attempts per OTP
+    resendCooldown: 60, // seconds before another OTP can be requested for the same purpose and identifier
+    cleanupInterval: 60, // seconds between sweeps of expired OTPs in the memory store
+    store: {
+        // memory, or redis to share OTPs between otp instances and keep them across restarts
+        type: 'memory',
+        keyPrefix: 'otp:'
+    },
+    // OTPs generated per identifier and per client IP, over a sliding window in seconds
+    rateLimits: {
+        identifier: { max: 5, window: 3600 },
+        ip: { max: 20, window: 3600 }
+    },
+    // Failed verifications within the window lock the purpose and identifier for duration seconds
+    lockout: { maxFailures: 5, window: 900, duration: 900 },
+    purposes: {
+        login: {},
+        'password-reset': { expiresIn: 900 },
+        transaction: { expiresIn: 300 },
+        // OTPs that prove the identifier is the caller's before an authenticator is enrolled
+        authenticator: {}
+    },
+    // Authenticator apps (RFC 6238 TOTP, RFC 4226 HOTP), see utils/authenticator.js
+    authenticator: {
+        issuer: 'Microservice Template', // shown next to the account in authenticator apps
+        algorithm: 'SHA1', // the one most apps support
+        digits: 6,
+        period: 30, // seconds per TOTP step
+        window: 1, // TOTP steps accepted before and after the current one, for clock drift
+        lookAhead: 10, // HOTP counters accepted past the last used one, for codes generated but not used
+        secretLength: 20, // bytes
+        recoveryCodes: 10,
+        enrollmentExpiresIn: 600, // seconds to confirm an enrollment with a first code
+        enrollmentPurpose: 'authenticator' // purpose of the OTP an enrollment has to be started with
+    },
+    delivery: {
+        email: { enabled: true, provider: 'smtp', from: 'noreply@example.com' },
+        // SMS gateways are passed to the service as deliveryProviders.sms
+        sms: { enabled: false },
+        // Messages of the outbox provider, which has to be chosen explicitly and is refused in production
+        outboxFile: 'data/otp-outbox.jsonl',
+        smtp: { host: 'localhost', port: 587, secure: false, user: '', pass: '' }
+    },
+    // Message templates by purpose ("default" for all) and channel, see services/otp/delivery/templates.js
+    templates: {}
+};
+
+// Settings an OTP purpose can override
+const policySchema = {
+    length: Joi.number().integer().min(4).max(12),
+    type: Joi.string().valid('numeric', 'alphanumeric'),
+    expiresIn: Joi.number().integer().min(30).max(86400),
+    maxAttempts: Joi.number().integer().min(1).max(10),
+    resendCooldown: Joi.number().integer().min(0).max(3600)
+};
+
+const rateLimitSchema = Joi.object({
+    max: Joi.number().integer().min(1).required(),
+    window: Joi.number().integer().min(1).max(86400).required()
+});
+
+const otpConfigSchema = Joi.object({
+    length: policySchema.length.required(),
+    type: policySchema.type.required(),
+    expiresIn: policySchema.expiresIn.required(),
+    maxAttempts: policySchema.maxAttempts.required(),
+    resendCooldown: policySchema.resendCooldown.required(),
+    rateLimits: Joi.object({
+        identifier: rateLimitSchema.required(),
+        ip: rateLimitSchema.required()
+    }).required(),
+    lockout: Joi.object({
+        maxFailures: Joi.number().integer().min(1).required(),
+        window: Joi.number().integer().min(1).max(86400).required(),
+        duration: Joi.number().integer().min(1).max(86400).required()
+    }).required(),
+    cleanupInterval: Joi.number().integer().min(1).required(),
+    store: Joi.object({
+        type: Joi.string().valid('memory', 'redis').required(),
+        keyPrefix: Joi.string().min(1).required()
+    }).required(),
+    purposes: Joi.object().pattern(/^[a-z0-9-]+$/, Joi.object(policySchema)).required(),
+    authenticator: Joi.object({
+        issuer: Joi.string().min(1).max(100).required(),
+        algorithm: Joi.string().valid('SHA1', 'SHA256', 'SHA512').required(),
+        digits: Joi.number().integer().valid(6, 8).required(),
+        period: Joi.number().integer().min(15).max(300).required(),
+        window: Joi.number().integer().min(0).max(10).required(),
+        lookAhead: Joi.number().integer().min(0).max(100).required(),
+        secretLength: Joi.number().integer().min(16).max(64).required(),
+        recoveryCodes: Joi.number().integer().min(1).max(50).required(),
+        enrollmentExpiresIn: Joi.number().integer().min(60).max(86400).required(),
+        enrollmentPurpose: Joi.string().pattern(/^[a-z0-9-]+$/).required()
+    }).required(),
+    delivery: Joi.object({
+        email: Joi.object({
+            enabled: Joi.boolean().required(),
+            provider: Joi.string().valid('smtp', 'outbox').required(),
+            from: Joi.string().required()
+        }).required(),
+        sms: Joi.object({
+            enabled: Joi.boolean().required(),
+            // Gateways are passed to the service as deliveryProviders.sms
+            provider: Joi.string().valid('outbox')
+        }).required(),
+        outboxFile: Joi.string().required(),
+        smtp: Joi.object({
+            host: Joi.string().required(),
+            port: Joi.number().port().required(),
+            secure: Joi.boolean().required(),
+            user: Joi.string().allow(''),
+            pass: Joi.string().allow('')
+        }).required()
+    }).required(),
+    templates: Joi.object().pattern(/^[a-z0-9-]+$/, Joi.object({
+        email: Joi.object({ subject: Joi.string(), text: Joi.string() }),
+        sms: Joi.object({ text: Joi.string() })
+    })).required()
+});
+
+/**
+ * Read the OTP settings of a service config file
+ * @param {string} configPath - Path to the service config file
+ * @returns {Object} OTP settings, empty if there is no file
+ */
+const fromFile = (configPath) => {
+    if (!configPath || !fs.existsSync(configPath)) {
+        return {};
+    }
+
+    const file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const emailConfig = file.emailConfig || {};
+
+    return omitUndefined({
+        length: file.otpLength,
+        type: file.otpType,
+        expiresIn: file.expiresIn,
+        maxAttempts: file.maxAttempts,
+        resendCooldown: file.resendCooldown,
+        cleanupInterval: file.cleanupInterval,
+        rateLimits: file.rateLimits,
+        lockout: file.lockout,
+        purposes: file.purposes,
+        authenticator: file.authenticator,
+        delivery: mergeLayers(file.delivery || {}, {
+            email: omitUndefined({ enabled: file.sendEmail, from: emailConfig.from }),
+            sms: omitUndefined({ enabled: file.sendSMS })
+        }),
+        templates: mergeLayers(file.templates || {}, emailConfig.subject === undefined ? {} : {
+            default: { email: { subject: emailConfig.subject } }
+        })
+    });
+};
+
+/**
+ * Read the OTP settings of environment variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} OTP settings of the variables that are set
+ */
+const fromEnv = (env) => {
+    const number = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+    return omitUndefined({
+        length: number(env.OTP_LENGTH),
+        type: env.OTP_TYPE || undefined,
+        expiresIn: number(env.OTP_EXPIRES_IN) !== undefined
+            ? number(env.OTP_EXPIRES_IN)
+            // Older setups configure the expiry in minutes
+            : number(env.OTP_EXPIRY_MINUTES) !== undefined ? number(env.OTP_EXPIRY_MINUTES) * 60 : undefined,
+        maxAttempts: number(env.OTP_MAX_ATTEMPTS),
+        resendCooldown: number(env.OTP_RESEND_COOLDOWN),
+        cleanupInterval: number(env.OTP_CLEANUP_INTERVAL),
+        rateLimits: omitUndefined({
+            identifier: omitUndefined({
+                max: number(env.OTP_IDENTIFIER_LIMIT),
+                window: number(env.OTP_IDENTIFIER_LIMIT_WINDOW)
+            }),
+            ip: omitUndefined({
+                max: number(env.OTP_IP_LIMIT),
+                window: number(env.OTP_IP_LIMIT_WINDOW)
+            })
+        }),
+        lockout: omitUndefined({
+            maxFailures: number(env.OTP_LOCKOUT_MAX_FAILURES),
+            window: number(env.OTP_LOCKOUT_WINDOW),
+            duration: number(env.OTP_LOCKOUT_DURATION)
+        }),
+        store: omitUndefined({
+            type: env.OTP_STORE || undefined,
+            keyPrefix: env.OTP_STORE_REDIS_PREFIX || undefined
+        }),
+        authenticator: omitUndefined({
+            issuer: env.OTP_AUTHENTICATOR_ISSUER || undefined,
+            algorithm: env.OTP_AUTHENTICATOR_ALGORITHM || undefined,
+            digits: number(env.OTP_AUTHENTICATOR_DIGITS),
+            period: number(env.OTP_AUTHENTICATOR_PERIOD),
+            window: number(env.OTP_AUTHENTICATOR_WINDOW),
+            lookAhead: number(env.OTP_AUTHENTICATOR_LOOK_AHEAD),
+            recoveryCodes: number(env.OTP_RECOVERY_CODES)
+        }),
+        delivery: omitUndefined({
+            email: omitUndefined({
+                enabled: env.OTP_SEND_EMAIL || undefined,
+                provider: env.OTP_EMAIL_PROVIDER || undefined,
+                from: env.OTP_EMAIL_FROM || undefined
+            }),
+            sms: omitUndefined({
+                enabled: env.OTP_SEND_SMS || undefined,
+                provider: env.OTP_SMS_PROVIDER || undefined
+            }),
+            outboxFile: env.OTP_DELIVERY_OUTBOX_FILE || undefined,
+            smtp: omitUndefined({
+                host: env.SMTP_HOST || undefined,
+                port: number(env.SMTP_PORT),
+                secure: env.SMTP_SECURE || undefined,
+                user: env.SMTP_USER || undefined,
+                pass: env.SMTP_PASS || undefined
+            })
+        })
+    });
+};
+
+/**
+ * Remove the keys of an object whose value is undefined
+ * @param {Object} object - Object to clean
+ * @returns {Object} Object without undefined values
+ */
+const omitUndefined = (object) => {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Merge configuration layers, nested objects are merged key by key
+ * @param {...Object} layers - Layers, later ones take precedence
+ * @returns {Object} Merged configuration
+ */
+const mergeLayers = (...layers) => {
+    return layers.reduce((result, layer) => {
+        Object.entries(layer).forEach(([key, value]) => {
+            const isObject = value && typeof value === 'object' && !Array.isArray(value);
+            result[key] = isObject ? mergeLayers(result[key] || {}, value) : value;
+        });
+
+        return result;
+    }, {});
+};
+
+/**
+ * Load and validate the OTP configuration
+ * @param {string} configPath - Path to the per-environment service config file
+ * @param {Object} env - Environment variables
+ * @returns {Object} OTP configuration
+ * @throws {ValidationError} If the merged configuration is invalid
+ */
+const loadOtpConfig = (configPath, env = process.env) => {
+    const merged = mergeLayers(DEFAULT_OTP_CONFIG, fromFile(configPath), fromEnv(env));
+    const { value, error } = otpConfigSchema.validate(merged, { abortEarly: false });
+
+    if (error) {
+        throw new ValidationError('Invalid OTP configuration', formatJoiErrors(error));
+    }
+
+    return value;
+};
+
+module.exports = {
+    DEFAULT_OTP_CONFIG,
+    loadOtpConfig
+};
@@ -0,0 +1,40 @@
+/**
+ * Delivery Provider
+ * Interface of the providers that deliver OTP messages to users, e.g. by
+ * email or SMS. Providers only send; rendering the message from a template
+ * and choosing the channel is done by OtpDelivery.
+ *
+ * Implementations must provide:
+ * - send(message) - Send { channel, to, subject, text } and resolve to { messageId }
+ * - close() - Release resources
+ */
+class DeliveryProvider {
+    /**
+     * Create a new DeliveryProvider
+     * @param {string} name - Provider name, reported with the delivery status
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Send a message
+     * @param {Object} message - Message to send
+     * @param {string} message.channel - Channel (email, sms)
+     * @param {string} message.to - Email address or phone number
+     * @param {string} message.subject - Subject, for channels that have one
+     * @param {string} message.text - Message text
+     * @returns {Promise<Object>} messageId assigned by the provider
+     */
+    async send(message) {
+        throw new Error(`${this.constructor.name} must implement send()`);
+    }
+
+    /**
+     * Release resources
+     * @returns {Promise<void>}
+     */
+    async close() {}
+}
+
+module.exports = DeliveryProvider;
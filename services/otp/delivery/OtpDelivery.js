@@ -0,0 +1,89 @@
+const Joi = require('joi');
+const { ValidationError } = require('../../../utils/errors');
+const { renderMessage } = require('./templates');
+
+const email = Joi.string().email();
+// E.164, e.g. +14155550100
+const phone = Joi.string().pattern(/^\+[1-9]\d{6,14}$/);
+
+/**
+ * OTP Delivery
+ * Picks the channel an OTP is sent over, renders its message and sends it
+ * with the provider of that channel.
+ */
+class OtpDelivery {
+    /**
+     * Create a new OtpDelivery
+     * @param {Object} options - Delivery options
+     * @param {Object} options.providers - DeliveryProvider per channel (email, sms)
+     * @param {Object} options.channels - Channel settings, { email: { enabled }, sms: { enabled } }
+     * @param {Object} options.templates - Templates keyed by purpose and channel, see templates.js
+     */
+    constructor(options = {}) {
+        this.providers = options.providers || {};
+        this.channels = options.channels || {};
+        this.templates = options.templates || {};
+
+        this.resolveChannel = this.resolveChannel.bind(this);
+        this.deliver = this.deliver.bind(this);
+    }
+
+    /**
+     * Pick the channel to send an OTP over
+     * @param {string} identifier - Email address or phone number the OTP is for
+     * @param {string} channel - Requested channel, guessed from the identifier if not set
+     * @returns {string} Channel
+     * @throws {ValidationError} If the channel is not enabled or the identifier does not fit it
+     */
+    resolveChannel(identifier, channel) {
+        const resolved = channel || (identifier.includes('@') ? 'email' : 'sms');
+        const settings = this.channels[resolved];
+
+        if (!settings || !settings.enabled || !this.providers[resolved]) {
+            throw new ValidationError(`OTP delivery by ${resolved} is not enabled`, [{ field: 'channel', message: `"${resolved}" is not an enabled channel` }]);
+        }
+
+        const { error } = (resolved === 'email' ? email : phone).validate(identifier);
+        if (error) {
+            const expected = resolved === 'email' ? 'an email address' : 'a phone number in E.164 format';
+            throw new ValidationError(`Cannot send an OTP by ${resolved} to this identifier`, [{ field: 'identifier', message: `"identifier" must be ${expected}` }]);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Render and send an OTP message
+     * @param {Object} delivery - Delivery: identifier, channel, purpose, otp and expiresIn
+     * @returns {Promise<Object>} provider name and messageId
+     */
+    async deliver({ identifier, channel, purpose, otp, expiresIn }) {
+        const provider = this.providers[channel];
+
+        if (!provider) {
+            throw new Error(`No delivery provider for channel ${channel}`);
+        }
+
+        const message = renderMessage(this.templates, channel, purpose, {
+            otp,
+            identifier,
+            purpose: purpose || 'default',
+            expiryMinutes: Math.ceil(expiresIn / 60)
+        });
+
+        const { messageId } = await provider.send({ channel, to: identifier, ...message });
+
+        return { provider: provider.name, messageId };
+    }
+
+    /**
+     * Close the providers
+     * @returns {Promise<void>}
+     */
+    async close() {
+        // The outbox provider may serve several channels
+        await Promise.all([...new Set(Object.values(this.providers))].map(provider => provider.close()));
+    }
+}
+
+module.exports = OtpDelivery;
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const DeliveryProvider = require('./DeliveryProvider');
+
+/**
+ * Outbox File Provider
+ * Writes messages to a JSON lines file instead of sending them, for local
+ * development and tests. Works for every channel.
+ */
+class OutboxFileProvider extends DeliveryProvider {
+    /**
+     * Create a new OutboxFileProvider
+     * @param {Object} options - Provider options
+     * @param {string} options.filePath - Outbox file path
+     */
+    constructor(options = {}) {
+        super('outbox');
+        this.filePath = options.filePath || path.join(process.cwd(), 'data', 'otp-outbox.jsonl');
+        // Serialize writes so lines of concurrent deliveries do not interleave
+        this.pending = Promise.resolve();
+    }
+
+    send(message) {
+        const record = {
+            messageId: uuidv4(),
+            ...message,
+            sentAt: new Date().toISOString()
+        };
+
+        const write = this.pending.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.appendFile(this.filePath, `${JSON.stringify(record)}\n`);
+
+            return { messageId: record.messageId };
+        });
+
+        this.pending = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Read the messages written so far
+     * @returns {Promise<Array<Object>>} Messages, oldest first
+     */
+    async read() {
+        await this.pending;
+
+        try {
+            const data = await fs.promises.readFile(this.filePath, 'utf8');
+            return data.split('\n').filter(Boolean).map(line => JSON.parse(line));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = OutboxFileProvider;
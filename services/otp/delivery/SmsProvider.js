@@ -0,0 +1,27 @@
+const DeliveryProvider = require('./DeliveryProvider');
+
+/**
+ * SMS Provider
+ * Base class of SMS gateways (Twilio, SNS, ...). Subclasses implement
+ * sendSms() and are passed to the OTP service as deliveryProviders.sms.
+ *
+ * Implementations must provide:
+ * - sendSms(to, text) - Send a text to an E.164 phone number and resolve to { messageId }
+ */
+class SmsProvider extends DeliveryProvider {
+    async send({ to, text }) {
+        return this.sendSms(to, text);
+    }
+
+    /**
+     * Send a text message
+     * @param {string} to - Phone number in E.164 format, e.g. +14155550100
+     * @param {string} text - Message text
+     * @returns {Promise<Object>} messageId assigned by the gateway
+     */
+    async sendSms(to, text) {
+        throw new Error(`${this.constructor.name} must implement sendSms()`);
+    }
+}
+
+module.exports = SmsProvider;
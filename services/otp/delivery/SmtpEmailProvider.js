@@ -0,0 +1,47 @@
+const nodemailer = require('nodemailer');
+const DeliveryProvider = require('./DeliveryProvider');
+
+/**
+ * SMTP Email Provider
+ * Sends OTP emails through an SMTP server with nodemailer
+ */
+class SmtpEmailProvider extends DeliveryProvider {
+    /**
+     * Create a new SmtpEmailProvider
+     * @param {Object} options - Provider options
+     * @param {string} options.host - SMTP host
+     * @param {number} options.port - SMTP port
+     * @param {boolean} options.secure - Use TLS from the start (port 465), STARTTLS is used otherwise when offered
+     * @param {string} options.user - SMTP user, no authentication if not set
+     * @param {string} options.pass - SMTP password
+     * @param {string} options.from - Sender address
+     * @param {Object} options.transport - Nodemailer transport to use instead of creating one
+     */
+    constructor(options = {}) {
+        super('smtp');
+        this.from = options.from;
+        this.transport = options.transport || nodemailer.createTransport({
+            host: options.host,
+            port: options.port,
+            secure: Boolean(options.secure),
+            auth: options.user ? { user: options.user, pass: options.pass } : undefined
+        });
+    }
+
+    async send({ to, subject, text }) {
+        const info = await this.transport.sendMail({
+            from: this.from,
+            to,
+            subject,
+            text
+        });
+
+        return { messageId: info.messageId };
+    }
+
+    async close() {
+        this.transport.close();
+    }
+}
+
+module.exports = SmtpEmailProvider;
@@ -0,0 +1,60 @@
+const DeliveryProvider = require('./DeliveryProvider');
+const SmtpEmailProvider = require('./SmtpEmailProvider');
+const SmsProvider = require('./SmsProvider');
+const OutboxFileProvider = require('./OutboxFileProvider');
+const OtpDelivery = require('./OtpDelivery');
+
+/**
+ * Create the OTP delivery from the OTP configuration
+ * @param {Object} config - OTP configuration (delivery and templates, see services/otp/config/otp.js)
+ * @param {Object} providers - Providers per channel that replace the configured ones, e.g. an SmsProvider
+ * @param {string} env - Environment, the outbox provider is refused in production
+ * @returns {OtpDelivery} OTP delivery
+ * @throws {Error} If a provider is unknown, missing or not allowed in the environment
+ */
+function createOtpDelivery(config, providers = {}, env = process.env.NODE_ENV) {
+    const { delivery } = config;
+    // One outbox file for every channel that uses it
+    let outbox = null;
+
+    const createProvider = (type, channel) => {
+        switch (type) {
+            case 'smtp':
+                return new SmtpEmailProvider({ ...delivery.smtp, from: delivery.email.from });
+            case 'outbox':
+                // The outbox file holds every OTP in plaintext
+                if (env === 'production') {
+                    throw new Error('The outbox OTP delivery provider cannot be used in production');
+                }
+
+                outbox = outbox || new OutboxFileProvider({ filePath: delivery.outboxFile });
+                return outbox;
+            case undefined:
+                throw new Error(`No OTP delivery provider configured for the ${channel} channel`);
+            default:
+                throw new Error(`Unknown OTP delivery provider: ${type}`);
+        }
+    };
+
+    const channels = { email: delivery.email, sms: delivery.sms };
+    const configured = Object.fromEntries(
+        Object.entries(channels)
+            .filter(([channel, settings]) => settings.enabled && !providers[channel])
+            .map(([channel, settings]) => [channel, createProvider(settings.provider, channel)])
+    );
+
+    return new OtpDelivery({
+        providers: { ...configured, ...providers },
+        channels,
+        templates: config.templates
+    });
+}
+
+module.exports = {
+    DeliveryProvider,
+    SmtpEmailProvider,
+    SmsProvider,
+    OutboxFileProvider,
+    OtpDelivery,
+    createOtpDelivery
+};
@@ -0,0 +1,51 @@
+/**
+ * OTP message templates
+ * Templates are looked up by purpose and channel, falling back to the
+ * "default" purpose and then to the built-in templates below. Placeholders
+ * such as {{otp}} are replaced with the delivery's values.
+ */
+const DEFAULT_TEMPLATES = {
+    email: {
+        subject: 'Your verification code',
+        text: 'Your verification code is {{otp}}. It expires in {{expiryMinutes}} minutes.\n\nIf you did not request this code, you can ignore this email.'
+    },
+    sms: {
+        text: '{{otp}} is your verification code. It expires in {{expiryMinutes}} minutes.'
+    }
+};
+
+/**
+ * Replace the {{name}} placeholders of a template
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered text, unknown placeholders are left empty
+ */
+const renderTemplate = (template, values) => {
+    return template.replace(/{{\s*(\w+)\s*}}/g, (match, name) => (values[name] === undefined ? '' : String(values[name])));
+};
+
+/**
+ * Render the message of a delivery
+ * @param {Object} templates - Configured templates, keyed by purpose and channel
+ * @param {string} channel - Channel (email, sms)
+ * @param {string} purpose - OTP purpose, "default" if not set
+ * @param {Object} values - Placeholder values (otp, expiryMinutes, purpose, identifier)
+ * @returns {Object} Rendered subject (email only) and text
+ */
+const renderMessage = (templates, channel, purpose, values) => {
+    const template = {
+        ...DEFAULT_TEMPLATES[channel],
+        ...(templates.default && templates.default[channel]),
+        ...(purpose && templates[purpose] && templates[purpose][channel])
+    };
+
+    return Object.fromEntries(
+        Object.entries(template).map(([field, text]) => [field, renderTemplate(text, values)])
+    );
+};
+
+module.exports = {
+    DEFAULT_TEMPLATES,
+    renderTemplate,
+    renderMessage
+};
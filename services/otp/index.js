@@ -1,91 +1,121 @@
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const morgan = require('morgan');
-const BaseService = require('../BaseService');
+const { StatusCodes } = require('http-status-codes');
+const HttpService = require('../HttpService');
 const config = require('./config');
-const otpRoutes = require('../../routes/otp.routes');
-
-class OTPService extends BaseService {
+const { loadOtpConfig } = require('./config/otp');
+const { createOtpStore } = require('../stores');
+const { createOtpDelivery } = require('./delivery');
+const { otpRequestSchemas, otpDeliverySchemas } = require('../../validators/otp.validator');
+const { ServiceError } = require('../../utils/errors');
+const createOtpController = require('../../controllers/otpController');
+const createOtpRouter = require('../../routes/otp.routes');
+
+class OTPService extends HttpService {
     constructor(options = {}) {
         super({
             name: config.service.name,
             port: options.port || config.server.port,
+            version: options.version || config.service.version,
             ...options
         });
 
-        this.config = config;
+        // Fails the start on an invalid OTP configuration
+        this.config = { ...config, otp: loadOtpConfig(this.configPath) };
+        this.otpStore = options.otpStore || createOtpStore(this.config.otp.store.type, {
+            keyPrefix: this.config.otp.store.keyPrefix,
+            cleanupInterval: this.config.otp.cleanupInterval * 1000
+        });
+        // Custom providers, e.g. an SmsProvider, replace the configured ones
+        this.otpDelivery = createOtpDelivery(this.config.otp, options.deliveryProviders);
+        // Shared by the HTTP routes and the otp.requests consumer, both check OTPs against the store
+        this.otpController = createOtpController(this.otpStore, this.config.otp, {
+            resolveChannel: this.otpDelivery.resolveChannel,
+            enqueue: (delivery) => this.enqueueDelivery(delivery)
+        }, (routingKey, payload) => this._publishOtpEvent(routingKey, payload));
+
+        this._initializeExpress();
     }
 
-    async start() {
+    _setupRoutes() {
         try {
-            await super.start();
-
-            this.server = this.app.listen(this.port, () => {
-                console.log(`[${this.name}] HTTP server running on port ${this.port}`);
-            });
+            this.mountRouter('/api/otp', createOtpRouter(this.otpController));
 
-            if (this.connection && this.channel) {
-                await this._setupQueues();
-            }
+            console.log(`[${this.name}] OTP routes setup complete`);
         } catch (error) {
-            console.error(`[${this.name}] Failed to start OTP service:`, error);
+            console.error(`[${this.name}] Failed to setup OTP routes:`, error);
             throw error;
         }
     }
 
-    async stop() {
-        try {
-            if (this.server) {
-                await new Promise((resolve, reject) => {
-                    this.server.close((err) => {
-                        if (err) {
-                            reject(err);
-                        } else {
-                            console.log(`[${this.name}] HTTP server closed`);
-                            resolve();
-                        }
-                    });
-                });
-            }
-
-            await super.stop();
-        } catch (error) {
-            console.error(`[${this.name}] Failed to stop OTP service:`, error);
-            throw error;
-        }
+    /**
+     * Queue an OTP for delivery
+     * The message expires with the OTP, so a backlog never sends codes that can no longer be used.
+     * It is never stored in the publish outbox, which would keep the OTP on disk in plaintext and
+     * restart the expiration when flushed; the request fails with 503 instead.
+     * @param {Object} delivery - Delivery message (deliveryId, identifier, channel, purpose, otp, expiresIn)
+     * @returns {Promise<boolean>} True if published
+     * @throws {Error} If the message cannot be published
+     */
+    async enqueueDelivery(delivery) {
+        return this.publishToQueue(this.config.queues.deliveries, delivery, {
+            schema: otpDeliverySchemas,
+            expiration: String(delivery.expiresIn * 1000),
+            outbox: false
+        });
     }
 
-
     async _setupQueues() {
         try {
             await this.registerQueue(this.config.queues.requests);
             await this.registerQueue(this.config.queues.responses);
+            await this.registerQueue(this.config.queues.deliveries);
+
+            await this.consumeFromQueue(this.config.queues.deliveries, async (delivery, msg) => {
+                await this._handleDelivery(delivery, msg);
+            }, { schema: otpDeliverySchemas });
+
+            await this.consumeFromQueue(this.config.queues.requests, async (message, msg) => {
+                // Verify requests carry the OTP, which is never logged
+                console.log(`[${this.name}] Received ${message.action} request for ${message.identifier}`
+                    + (message.correlationId ? ` (correlationId: ${message.correlationId})` : ''));
 
-            await this.consumeFromQueue(this.config.queues.requests, async (message) => {
-                console.log(`[${this.name}] Received request:`, message);
+                // Requests sent with request() carry a replyTo queue, others get the
+                // result published to the responses queue
+                const replyTo = msg.properties && msg.properties.replyTo;
 
                 try {
-                    if (message.action === 'generate' || message.action === 'verify') {
+                    // Only valid generate and verify requests get here, see otpRequestSchemas
+                    const result = message.action === 'generate'
+                        ? await this.otpController.issueOtp(message)
+                        : await this.otpController.checkOtp(message);
+
+                    if (result.retryAfter) {
+                        throw new ServiceError('otp', result.message, StatusCodes.TOO_MANY_REQUESTS);
+                    }
+
+                    if (replyTo) {
+                        this.respond(msg, { action: message.action, result });
+                    } else {
                         await this.publishToQueue(this.config.queues.responses, {
                             correlationId: message.correlationId,
                             success: true,
                             action: message.action,
-                            result: `${message.action} processed`
+                            result
                         });
-                    } else {
-                        throw new Error(`Unknown action: ${message.action}`);
                     }
                 } catch (error) {
                     console.error(`[${this.name}] Error processing message:`, error);
 
-                    await this.publishToQueue(this.config.queues.responses, {
-                        correlationId: message.correlationId,
-                        success: false,
-                        error: error.message
-                    });
+                    if (replyTo) {
+                        this.respondError(msg, error);
+                    } else {
+                        await this.publishToQueue(this.config.queues.responses, {
+                            correlationId: message.correlationId,
+                            success: false,
+                            error: error.message
+                        });
+                    }
                 }
-            });
+            }, { schema: otpRequestSchemas });
 
             console.log(`[${this.name}] Message broker queues setup complete`);
         } catch (error) {
@@ -94,11 +124,92 @@ class OTPService extends BaseService {
         }
     }
 
+    /**
+     * Send a queued OTP and report the delivery status
+     * Failed deliveries are retried by the retry policy of the consumer and
+     * dead-lettered after the last attempt. Retried and replayed messages no
+     * longer carry the queue expiration, so expired OTPs are dropped here.
+     * @param {Object} delivery - Delivery message
+     * @param {Object} msg - Raw message
+     * @private
+     */
+    async _handleDelivery(delivery, msg) {
+        const headers = msg.properties.headers || {};
+        const attempt = (parseInt(headers['x-attempts']) || 0) + 1;
+
+        if (new Date(delivery.expiresAt).getTime() <= Date.now()) {
+            console.warn(`[${this.name}] Dropped OTP ${delivery.deliveryId}, it expired before it could be delivered`);
+            await this._reportDelivery(delivery, 'failed', { error: 'OTP expired', attempt, willRetry: false });
+            return;
+        }
+
+        try {
+            const { provider, messageId } = await this.otpDelivery.deliver(delivery);
+
+            console.log(`[${this.name}] Delivered OTP ${delivery.deliveryId} by ${delivery.channel} (${provider})`);
+            await this._reportDelivery(delivery, 'sent', { provider, messageId, attempt });
+        } catch (error) {
+            console.error(`[${this.name}] Failed to deliver OTP ${delivery.deliveryId} (attempt ${attempt}):`, error.message);
+            await this._reportDelivery(delivery, 'failed', {
+                error: error.message,
+                attempt,
+                willRetry: attempt < this.retryPolicy.maxAttempts
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Publish the status of a delivery as an otp.delivery.<status> event
+     * @param {Object} delivery - Delivery message
+     * @param {string} status - sent or failed
+     * @param {Object} details - Status details
+     * @private
+     */
+    async _reportDelivery(delivery, status, details) {
+        try {
+            // Never include the OTP itself
+            await this.publishEvent(this.config.exchanges.events, `otp.delivery.${status}`, {
+                deliveryId: delivery.deliveryId,
+                identifier: delivery.identifier,
+                channel: delivery.channel,
+                purpose: delivery.purpose,
+                status,
+                ...details,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            // A report that cannot be published must not cause the OTP to be sent again
+            console.error(`[${this.name}] Failed to report delivery ${delivery.deliveryId}:`, error.message);
+        }
+    }
+
+    /**
+     * Publish an OTP event (otp.generated, otp.verified) on the events exchange
+     * Only called after the store confirmed the generation or verification.
+     * @param {string} routingKey - Event routing key
+     * @param {Object} payload - Event payload, never the OTP itself
+     * @private
+     */
+    async _publishOtpEvent(routingKey, payload) {
+        try {
+            await this.publishEvent(this.config.exchanges.events, routingKey, {
+                ...payload,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            // The OTP is already issued or used up, failing the request would not undo that
+            console.error(`[${this.name}] Failed to publish ${routingKey}:`, error.message);
+        }
+    }
+
     async _cleanup() {
         try {
             console.log(`[${this.name}] Cleaning up resources`);
 
             await super._cleanup();
+            await this.otpStore.close();
+            await this.otpDelivery.close();
         } catch (error) {
             console.error(`[${this.name}] Error during cleanup:`, error);
             throw error;
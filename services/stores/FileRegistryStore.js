@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const RegistryStore = require('./RegistryStore');
+
+/**
+ * File Registry Store
+ * Keeps a JSON snapshot of all entries on disk. Writes are batched and the
+ * snapshot is replaced atomically (write to a temp file, then rename).
+ */
+class FileRegistryStore extends RegistryStore {
+    /**
+     * Create a new FileRegistryStore
+     * @param {Object} options - Store options
+     * @param {string} options.filePath - Snapshot file path
+     * @param {number} options.flushDelay - Delay in ms used to batch writes
+     */
+    constructor(options = {}) {
+        super();
+        this.filePath = options.filePath || path.join(process.cwd(), 'data', 'registry.json');
+        this.flushDelay = options.flushDelay !== undefined ? options.flushDelay : 1000;
+        this.entries = new Map();
+        this.flushTimer = null;
+        this.writing = Promise.resolve();
+    }
+
+    async load() {
+        // Pending changes would otherwise be replaced by the older snapshot on disk
+        if (this.flushTimer) {
+            await this.flush();
+        }
+        await this.writing;
+
+        try {
+            const content = await fs.promises.readFile(this.filePath, 'utf8');
+            const entries = JSON.parse(content);
+
+            this.entries = new Map(entries.map(entry => [entry.key, entry]));
+            console.log(`Loaded ${entries.length} services from ${this.filePath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to load registry snapshot ${this.filePath}:`, error);
+            }
+            this.entries = new Map();
+        }
+
+        return [...this.entries.values()].map(entry => ({ ...entry }));
+    }
+
+    async save(service) {
+        this.entries.set(service.key, { ...service });
+        this._scheduleFlush();
+    }
+
+    async remove(key) {
+        this.entries.delete(key);
+        this._scheduleFlush();
+    }
+
+    async close() {
+        await this.flush();
+    }
+
+    /**
+     * Write the snapshot now
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        // Serialize writes so an older snapshot never replaces a newer one
+        this.writing = this.writing.then(() => this._write()).catch(error => {
+            console.error(`Failed to write registry snapshot ${this.filePath}:`, error);
+        });
+
+        return this.writing;
+    }
+
+    _scheduleFlush() {
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+        }
+    }
+
+    async _write() {
+        const tempPath = `${this.filePath}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify([...this.entries.values()], null, 2));
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+}
+
+module.exports = FileRegistryStore;
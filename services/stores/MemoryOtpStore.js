@@ -0,0 +1,193 @@
+const OtpStore = require('./OtpStore');
+
+/**
+ * Memory OTP Store
+ * Default store, entries only live as long as the process and are not shared
+ * with other otp instances
+ */
+class MemoryOtpStore extends OtpStore {
+    /**
+     * Create a new MemoryOtpStore
+     * @param {Object} options - Store options
+     * @param {number} options.cleanupInterval - Interval in ms between sweeps of expired entries
+     */
+    constructor(options = {}) {
+        super();
+        this.entries = new Map();
+        // Hit timestamps and window length, by rate limit key
+        this.hits = new Map();
+        // Time each lock is lifted, by key
+        this.locks = new Map();
+        this.authenticators = new Map();
+        this.recoveryCodes = new Map();
+
+        // Expired entries are never returned, the sweep only frees their memory
+        this.cleanupTimer = setInterval(() => this._removeExpired(), options.cleanupInterval || 60000);
+        this.cleanupTimer.unref();
+    }
+
+    async get(identifier) {
+        const entry = this.entries.get(identifier);
+
+        if (!entry || this._isExpired(entry)) {
+            return null;
+        }
+
+        return { ...entry };
+    }
+
+    async set(identifier, entry, ttl) {
+        this.entries.set(identifier, { ...entry, expiresAt: Date.now() + ttl });
+    }
+
+    async incrementAttempts(identifier) {
+        const entry = this.entries.get(identifier);
+
+        if (!entry || this._isExpired(entry)) {
+            return null;
+        }
+
+        entry.attempts += 1;
+        return entry.attempts;
+    }
+
+    async delete(identifier) {
+        const entry = this.entries.get(identifier);
+        this.entries.delete(identifier);
+
+        return Boolean(entry) && !this._isExpired(entry);
+    }
+
+    async consumeRateLimit(key, limit, window) {
+        const now = Date.now();
+        const hits = (this.hits.has(key) ? this.hits.get(key).times : []).filter(time => time > now - window);
+        this.hits.set(key, { times: hits, window });
+
+        if (hits.length >= limit) {
+            return { allowed: false, remaining: 0, retryAfter: hits[0] + window - now };
+        }
+
+        hits.push(now);
+
+        return { allowed: true, remaining: limit - hits.length, retryAfter: 0 };
+    }
+
+    async consumeRateLimits(limits) {
+        const now = Date.now();
+        const hits = limits.map(({ key, window }) => {
+            const times = (this.hits.has(key) ? this.hits.get(key).times : []).filter(time => time > now - window);
+            this.hits.set(key, { times, window });
+
+            return times;
+        });
+
+        const reached = limits.findIndex(({ limit }, index) => hits[index].length >= limit);
+        if (reached !== -1) {
+            const { key, window } = limits[reached];
+            return { allowed: false, key, retryAfter: hits[reached][0] + window - now };
+        }
+
+        hits.forEach(times => times.push(now));
+
+        return { allowed: true, key: null, retryAfter: 0 };
+    }
+
+    async setLock(key, ttl) {
+        this.locks.set(key, Date.now() + ttl);
+    }
+
+    async getLockTtl(key) {
+        return Math.max((this.locks.get(key) || 0) - Date.now(), 0);
+    }
+
+    async getAuthenticator(identifier) {
+        const enrollment = this.authenticators.get(identifier);
+
+        if (!enrollment || this._isExpired(enrollment)) {
+            return null;
+        }
+
+        const { expiresAt, ...rest } = enrollment;
+        return rest;
+    }
+
+    async setAuthenticator(identifier, enrollment, ttl) {
+        this.authenticators.set(identifier, { ...enrollment, expiresAt: ttl ? Date.now() + ttl : Infinity });
+    }
+
+    async advanceAuthenticatorCounter(identifier, counter) {
+        const enrollment = this.authenticators.get(identifier);
+
+        if (!enrollment || this._isExpired(enrollment) || counter <= enrollment.lastCounter) {
+            return false;
+        }
+
+        enrollment.lastCounter = counter;
+        return true;
+    }
+
+    async deleteAuthenticator(identifier) {
+        const enrollment = this.authenticators.get(identifier);
+        this.authenticators.delete(identifier);
+        this.recoveryCodes.delete(identifier);
+
+        return Boolean(enrollment) && !this._isExpired(enrollment);
+    }
+
+    async getRecoveryCodes(identifier) {
+        return [...(this.recoveryCodes.get(identifier) || [])];
+    }
+
+    async setRecoveryCodes(identifier, codes) {
+        this.recoveryCodes.set(identifier, new Set(codes));
+    }
+
+    async useRecoveryCode(identifier, code) {
+        const codes = this.recoveryCodes.get(identifier);
+
+        return Boolean(codes) && codes.delete(code);
+    }
+
+    async close() {
+        clearInterval(this.cleanupTimer);
+        this.entries.clear();
+        this.hits.clear();
+        this.locks.clear();
+        this.authenticators.clear();
+        this.recoveryCodes.clear();
+    }
+
+    _isExpired(entry) {
+        return entry.expiresAt <= Date.now();
+    }
+
+    _removeExpired() {
+        this.entries.forEach((entry, identifier) => {
+            if (this._isExpired(entry)) {
+                this.entries.delete(identifier);
+            }
+        });
+
+        const now = Date.now();
+        this.hits.forEach(({ times, window }, key) => {
+            if (!times.length || times[times.length - 1] <= now - window) {
+                this.hits.delete(key);
+            }
+        });
+
+        this.locks.forEach((liftedAt, key) => {
+            if (liftedAt <= now) {
+                this.locks.delete(key);
+            }
+        });
+
+        // Enrollments that were never confirmed
+        this.authenticators.forEach((enrollment, identifier) => {
+            if (this._isExpired(enrollment)) {
+                this.authenticators.delete(identifier);
+            }
+        });
+    }
+}
+
+module.exports = MemoryOtpStore;
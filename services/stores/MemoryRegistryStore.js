@@ -0,0 +1,26 @@
+const RegistryStore = require('./RegistryStore');
+
+/**
+ * Memory Registry Store
+ * Default store, entries only live as long as the process
+ */
+class MemoryRegistryStore extends RegistryStore {
+    constructor() {
+        super();
+        this.entries = new Map();
+    }
+
+    async load() {
+        return [...this.entries.values()].map(entry => ({ ...entry }));
+    }
+
+    async save(service) {
+        this.entries.set(service.key, { ...service });
+    }
+
+    async remove(key) {
+        this.entries.delete(key);
+    }
+}
+
+module.exports = MemoryRegistryStore;
@@ -0,0 +1,191 @@
+/**
+ * OTP Store
+ * Storage adapter interface for issued OTPs. Entries hold a salted hash of
+ * the code, never the code itself, and expire after the TTL they were stored
+ * with. Stores shared between processes (Redis) let several otp instances
+ * verify each other's codes and keep codes valid across a restart.
+ *
+ * Implementations must provide:
+ * - get(identifier) - Resolve to the unexpired entry or null
+ * - set(identifier, entry, ttl) - Store or replace an entry for ttl ms
+ * - incrementAttempts(identifier) - Atomically count a verification attempt
+ * - delete(identifier) - Delete an entry, resolving to whether it existed
+ * - consumeRateLimit(key, limit, window) - Count a hit in a sliding window
+ * - consumeRateLimits(limits) - Count a hit in several sliding windows if all of them allow it
+ * - setLock(key, ttl) - Lock a key for ttl ms
+ * - getLockTtl(key) - Resolve to the ms left on a lock, 0 if unlocked
+ * - getAuthenticator(identifier) - Resolve to the authenticator enrollment or null
+ * - setAuthenticator(identifier, enrollment, ttl) - Store or replace an enrollment
+ * - advanceAuthenticatorCounter(identifier, counter) - Atomically record a used counter
+ * - deleteAuthenticator(identifier) - Delete an enrollment and its recovery codes
+ * - getRecoveryCodes(identifier) - Resolve to the hashed recovery codes
+ * - setRecoveryCodes(identifier, codes) - Replace the hashed recovery codes
+ * - useRecoveryCode(identifier, code) - Atomically remove a hashed recovery code
+ * - close() - Release resources
+ *
+ * Rate limit, lock, authenticator and recovery code keys are kept apart from
+ * the OTP entries, so a key of one kind never clashes with an identifier of
+ * another. Authenticator enrollments hold their secret as is, access to a
+ * shared store should be restricted accordingly.
+ */
+class OtpStore {
+    /**
+     * Get the entry of an identifier
+     * @param {string} identifier - Identifier the OTP was issued to
+     * @returns {Promise<Object|null>} Entry with hash, salt, attempts and expiresAt, or null
+     */
+    async get(identifier) {
+        throw new Error(`${this.constructor.name} must implement get()`);
+    }
+
+    /**
+     * Store or replace the entry of an identifier
+     * @param {string} identifier - Identifier the OTP was issued to
+     * @param {Object} entry - Entry with hash, salt, attempts and expiresAt
+     * @param {number} ttl - Time in ms until the entry expires
+     * @returns {Promise<void>}
+     */
+    async set(identifier, entry, ttl) {
+        throw new Error(`${this.constructor.name} must implement set()`);
+    }
+
+    /**
+     * Count a verification attempt
+     * @param {string} identifier - Identifier the OTP was issued to
+     * @returns {Promise<number|null>} Attempts so far, or null if there is no entry
+     */
+    async incrementAttempts(identifier) {
+        throw new Error(`${this.constructor.name} must implement incrementAttempts()`);
+    }
+
+    /**
+     * Delete the entry of an identifier
+     * @param {string} identifier - Identifier the OTP was issued to
+     * @returns {Promise<boolean>} True if there was an entry to delete
+     */
+    async delete(identifier) {
+        throw new Error(`${this.constructor.name} must implement delete()`);
+    }
+
+    /**
+     * Count a hit against a sliding window limit
+     * Hits over the limit are not counted, so a client that keeps retrying
+     * is let through again as soon as its oldest hit leaves the window.
+     * @param {string} key - Key the hits are counted for
+     * @param {number} limit - Hits allowed in the window
+     * @param {number} window - Window length in ms
+     * @returns {Promise<Object>} allowed, remaining hits and retryAfter in ms (0 if allowed)
+     */
+    async consumeRateLimit(key, limit, window) {
+        throw new Error(`${this.constructor.name} must implement consumeRateLimit()`);
+    }
+
+    /**
+     * Count a hit against several sliding window limits at once
+     * The hit is counted against all of the limits or, if any of them is
+     * reached, against none, so a rejected request uses up no other limit.
+     * @param {Array<Object>} limits - key, limit and window (ms) of each limit
+     * @returns {Promise<Object>} allowed, and the key of the first reached limit and retryAfter in ms if not allowed
+     */
+    async consumeRateLimits(limits) {
+        throw new Error(`${this.constructor.name} must implement consumeRateLimits()`);
+    }
+
+    /**
+     * Lock a key, replacing any earlier lock
+     * @param {string} key - Key to lock
+     * @param {number} ttl - Time in ms until the lock is lifted
+     * @returns {Promise<void>}
+     */
+    async setLock(key, ttl) {
+        throw new Error(`${this.constructor.name} must implement setLock()`);
+    }
+
+    /**
+     * Get the time left on the lock of a key
+     * @param {string} key - Locked key
+     * @returns {Promise<number>} Time in ms until the lock is lifted, 0 if the key is not locked
+     */
+    async getLockTtl(key) {
+        throw new Error(`${this.constructor.name} must implement getLockTtl()`);
+    }
+
+    /**
+     * Get the authenticator enrollment of an identifier
+     * @param {string} identifier - Identifier the authenticator is enrolled for
+     * @returns {Promise<Object|null>} Enrollment with enrollmentId, type, secret, algorithm, digits,
+     * period, lastCounter, confirmed and createdAt, or null
+     */
+    async getAuthenticator(identifier) {
+        throw new Error(`${this.constructor.name} must implement getAuthenticator()`);
+    }
+
+    /**
+     * Store or replace the authenticator enrollment of an identifier
+     * @param {string} identifier - Identifier the authenticator is enrolled for
+     * @param {Object} enrollment - Enrollment, see getAuthenticator()
+     * @param {number} ttl - Time in ms until an unconfirmed enrollment expires, none if not given
+     * @returns {Promise<void>}
+     */
+    async setAuthenticator(identifier, enrollment, ttl) {
+        throw new Error(`${this.constructor.name} must implement setAuthenticator()`);
+    }
+
+    /**
+     * Record the counter (HOTP) or time step (TOTP) of an accepted code
+     * Only counters past the last recorded one are accepted, so a code cannot be replayed,
+     * not even by concurrent requests.
+     * @param {string} identifier - Identifier the authenticator is enrolled for
+     * @param {number} counter - Counter of the accepted code
+     * @returns {Promise<boolean>} True if recorded, false if the counter was used or there is no enrollment
+     */
+    async advanceAuthenticatorCounter(identifier, counter) {
+        throw new Error(`${this.constructor.name} must implement advanceAuthenticatorCounter()`);
+    }
+
+    /**
+     * Delete the authenticator enrollment and recovery codes of an identifier
+     * @param {string} identifier - Identifier the authenticator is enrolled for
+     * @returns {Promise<boolean>} True if there was an enrollment to delete
+     */
+    async deleteAuthenticator(identifier) {
+        throw new Error(`${this.constructor.name} must implement deleteAuthenticator()`);
+    }
+
+    /**
+     * Get the recovery codes of an identifier
+     * @param {string} identifier - Identifier the codes were issued to
+     * @returns {Promise<Array<string>>} Unused codes, each stored as "salt:hash"
+     */
+    async getRecoveryCodes(identifier) {
+        throw new Error(`${this.constructor.name} must implement getRecoveryCodes()`);
+    }
+
+    /**
+     * Replace the recovery codes of an identifier
+     * @param {string} identifier - Identifier the codes are issued to
+     * @param {Array<string>} codes - Codes, each stored as "salt:hash"
+     * @returns {Promise<void>}
+     */
+    async setRecoveryCodes(identifier, codes) {
+        throw new Error(`${this.constructor.name} must implement setRecoveryCodes()`);
+    }
+
+    /**
+     * Use up a recovery code
+     * @param {string} identifier - Identifier the code was issued to
+     * @param {string} code - Stored code, as returned by getRecoveryCodes()
+     * @returns {Promise<boolean>} True if the code was unused, only one caller gets true
+     */
+    async useRecoveryCode(identifier, code) {
+        throw new Error(`${this.constructor.name} must implement useRecoveryCode()`);
+    }
+
+    /**
+     * Release resources
+     * @returns {Promise<void>}
+     */
+    async close() {}
+}
+
+module.exports = OtpStore;
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const OtpStore = require('./OtpStore');
+
+// Increment the attempts of an existing entry only, HINCRBY alone would
+// recreate an expired entry without a TTL
+const INCREMENT_ATTEMPTS_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+    return redis.call('HINCRBY', KEYS[1], 'attempts', 1)
+end
+return nil
+`;
+
+// Sliding window log in a sorted set scored by hit time, pruned and counted
+// atomically so concurrent hits cannot exceed the limit
+const CONSUME_RATE_LIMIT_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+local count = redis.call('ZCARD', KEYS[1])
+if count >= limit then
+    local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+    return {0, 0, tonumber(oldest[2]) + window - now}
+end
+redis.call('ZADD', KEYS[1], now, ARGV[4])
+redis.call('PEXPIRE', KEYS[1], window)
+return {1, limit - count - 1, 0}
+`;
+
+// Several sliding windows at once, a hit is only added to them once all of
+// them are below their limit. Returns the 1-based index of the first reached
+// limit, 0 if none is reached.
+const CONSUME_RATE_LIMITS_SCRIPT = `
+local now = tonumber(ARGV[1])
+for i, key in ipairs(KEYS) do
+    local window = tonumber(ARGV[i * 2 + 1])
+    redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+    if redis.call('ZCARD', key) >= tonumber(ARGV[i * 2 + 2]) then
+        local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+        return {i, tonumber(oldest[2]) + window - now}
+    end
+end
+for i, key in ipairs(KEYS) do
+    redis.call('ZADD', key, now, ARGV[2])
+    redis.call('PEXPIRE', key, ARGV[i * 2 + 1])
+end
+return {0, 0}
+`;
+
+// Record a used authenticator counter only if it is past the last one
+const ADVANCE_COUNTER_SCRIPT = `
+local last = redis.call('HGET', KEYS[1], 'lastCounter')
+if last and tonumber(ARGV[1]) > tonumber(last) then
+    redis.call('HSET', KEYS[1], 'lastCounter', ARGV[1])
+    return 1
+end
+return 0
+`;
+
+/**
+ * Redis OTP Store
+ * Stores each entry as a Redis hash that expires with the OTP, using the
+ * shared client from config/redis.js. Several otp instances can share it.
+ * Entries are kept under <prefix>code:<identifier>. Rate limits are sorted
+ * sets under <prefix>rate:<key> and locks are plain keys under
+ * <prefix>lock:<key>, both expiring on their own. Authenticator enrollments
+ * are hashes under <prefix>authenticator:<identifier> and recovery codes
+ * sets under <prefix>recovery:<identifier>.
+ */
+class RedisOtpStore extends OtpStore {
+    /**
+     * Create a new RedisOtpStore
+     * @param {Object} options - Store options
+     * @param {Object} options.client - Redis client, defaults to config/redis.js
+     * @param {string} options.keyPrefix - Prefix of the entry keys
+     */
+    constructor(options = {}) {
+        super();
+        this.client = options.client || require('../../config/redis');
+        this.keyPrefix = options.keyPrefix || 'otp:';
+    }
+
+    async get(identifier) {
+        const client = await this._getClient();
+        const entry = await client.hGetAll(this._key(identifier));
+
+        if (!entry || !entry.hash) {
+            return null;
+        }
+
+        return {
+            hash: entry.hash,
+            salt: entry.salt,
+            attempts: parseInt(entry.attempts),
+            expiresAt: parseInt(entry.expiresAt)
+        };
+    }
+
+    async set(identifier, entry, ttl) {
+        const client = await this._getClient();
+        const key = this._key(identifier);
+
+        await client.multi()
+            .del(key)
+            .hSet(key, {
+                hash: entry.hash,
+                salt: entry.salt,
+                attempts: String(entry.attempts),
+                expiresAt: String(entry.expiresAt)
+            })
+            .pExpire(key, ttl)
+            .exec();
+    }
+
+    async incrementAttempts(identifier) {
+        const client = await this._getClient();
+        const attempts = await client.eval(INCREMENT_ATTEMPTS_SCRIPT, {
+            keys: [this._key(identifier)]
+        });
+
+        return attempts === null ? null : Number(attempts);
+    }
+
+    async delete(identifier) {
+        const client = await this._getClient();
+
+        return (await client.del(this._key(identifier))) > 0;
+    }
+
+    async consumeRateLimit(key, limit, window) {
+        const client = await this._getClient();
+        const now = Date.now();
+        const [allowed, remaining, retryAfter] = await client.eval(CONSUME_RATE_LIMIT_SCRIPT, {
+            keys: [`${this.keyPrefix}rate:${key}`],
+            // The member only has to be unique, the score holds the time
+            arguments: [String(now), String(window), String(limit), `${now}-${crypto.randomBytes(4).toString('hex')}`]
+        });
+
+        return {
+            allowed: allowed === 1,
+            remaining: Number(remaining),
+            retryAfter: Math.max(Number(retryAfter), 0)
+        };
+    }
+
+    async consumeRateLimits(limits) {
+        const client = await this._getClient();
+        const now = Date.now();
+        const [reached, retryAfter] = await client.eval(CONSUME_RATE_LIMITS_SCRIPT, {
+            keys: limits.map(({ key }) => `${this.keyPrefix}rate:${key}`),
+            arguments: [
+                String(now),
+                `${now}-${crypto.randomBytes(4).toString('hex')}`,
+                ...limits.flatMap(({ window, limit }) => [String(window), String(limit)])
+            ]
+        });
+
+        if (!reached) {
+            return { allowed: true, key: null, retryAfter: 0 };
+        }
+
+        return { allowed: false, key: limits[reached - 1].key, retryAfter: Math.max(Number(retryAfter), 0) };
+    }
+
+    async setLock(key, ttl) {
+        const client = await this._getClient();
+
+        await client.set(`${this.keyPrefix}lock:${key}`, '1', { PX: ttl });
+    }
+
+    async getLockTtl(key) {
+        const client = await this._getClient();
+        const ttl = await client.pTTL(`${this.keyPrefix}lock:${key}`);
+
+        // -2 if there is no lock, -1 if it has no expiry
+        return Math.max(ttl, 0);
+    }
+
+    async getAuthenticator(identifier) {
+        const client = await this._getClient();
+        const enrollment = await client.hGetAll(this._authenticatorKey(identifier));
+
+        if (!enrollment || !enrollment.secret) {
+            return null;
+        }
+
+        return {
+            enrollmentId: enrollment.enrollmentId,
+            type: enrollment.type,
+            secret: enrollment.secret,
+            algorithm: enrollment.algorithm,
+            digits: parseInt(enrollment.digits),
+            period: parseInt(enrollment.period),
+            lastCounter: parseInt(enrollment.lastCounter),
+            confirmed: enrollment.confirmed === 'true',
+            createdAt: parseInt(enrollment.createdAt)
+        };
+    }
+
+    async setAuthenticator(identifier, enrollment, ttl) {
+        const client = await this._getClient();
+        const key = this._authenticatorKey(identifier);
+        const transaction = client.multi()
+            .del(key)
+            .hSet(key, Object.fromEntries(Object.entries(enrollment).map(([field, value]) => [field, String(value)])));
+
+        if (ttl) {
+            transaction.pExpire(key, ttl);
+        }
+
+        await transaction.exec();
+    }
+
+    async advanceAuthenticatorCounter(identifier, counter) {
+        const client = await this._getClient();
+        const advanced = await client.eval(ADVANCE_COUNTER_SCRIPT, {
+            keys: [this._authenticatorKey(identifier)],
+            arguments: [String(counter)]
+        });
+
+        return advanced === 1;
+    }
+
+    async deleteAuthenticator(identifier) {
+        const client = await this._getClient();
+        const [deleted] = await client.multi()
+            .del(this._authenticatorKey(identifier))
+            .del(this._recoveryKey(identifier))
+            .exec();
+
+        return deleted > 0;
+    }
+
+    async getRecoveryCodes(identifier) {
+        const client = await this._getClient();
+
+        return client.sMembers(this._recoveryKey(identifier));
+    }
+
+    async setRecoveryCodes(identifier, codes) {
+        const client = await this._getClient();
+        const key = this._recoveryKey(identifier);
+
+        await client.multi()
+            .del(key)
+            .sAdd(key, codes)
+            .exec();
+    }
+
+    async useRecoveryCode(identifier, code) {
+        const client = await this._getClient();
+
+        return (await client.sRem(this._recoveryKey(identifier), code)) > 0;
+    }
+
+    _key(identifier) {
+        return `${this.keyPrefix}code:${identifier}`;
+    }
+
+    _authenticatorKey(identifier) {
+        return `${this.keyPrefix}authenticator:${identifier}`;
+    }
+
+    _recoveryKey(identifier) {
+        return `${this.keyPrefix}recovery:${identifier}`;
+    }
+
+    async _getClient() {
+        return typeof this.client.ensureConnected === 'function'
+            ? this.client.ensureConnected()
+            : this.client;
+    }
+}
+
+module.exports = RedisOtpStore;
@@ -0,0 +1,45 @@
+const RegistryStore = require('./RegistryStore');
+
+/**
+ * Redis Registry Store
+ * Stores each entry as a field of a Redis hash, using the shared client from
+ * config/redis.js. Several registry processes can share the same hash.
+ */
+class RedisRegistryStore extends RegistryStore {
+    /**
+     * Create a new RedisRegistryStore
+     * @param {Object} options - Store options
+     * @param {Object} options.client - Redis client, defaults to config/redis.js
+     * @param {string} options.hashKey - Hash holding the entries
+     */
+    constructor(options = {}) {
+        super();
+        this.client = options.client || require('../../config/redis');
+        this.hashKey = options.hashKey || 'service-registry:services';
+    }
+
+    async load() {
+        const client = await this._getClient();
+        const entries = await client.hGetAll(this.hashKey);
+
+        return Object.values(entries).map(entry => JSON.parse(entry));
+    }
+
+    async save(service) {
+        const client = await this._getClient();
+        await client.hSet(this.hashKey, service.key, JSON.stringify(service));
+    }
+
+    async remove(key) {
+        const client = await this._getClient();
+        await client.hDel(this.hashKey, key);
+    }
+
+    async _getClient() {
+        return typeof this.client.ensureConnected === 'function'
+            ? this.client.ensureConnected()
+            : this.client;
+    }
+}
+
+module.exports = RedisRegistryStore;
@@ -0,0 +1,47 @@
+/**
+ * Registry Store
+ * Storage adapter interface for ServiceRegistry. The registry keeps its own
+ * in-memory index for lookups and writes every change through to the store,
+ * so registrations survive a restart of the process holding the registry.
+ *
+ * Implementations must provide:
+ * - load() - Resolve to all stored service entries
+ * - save(service) - Store or replace an entry (keyed by service.key)
+ * - remove(key) - Delete an entry
+ * - close() - Flush pending writes and release resources
+ */
+class RegistryStore {
+    /**
+     * Load all stored service entries
+     * @returns {Promise<Array<Object>>} Service entries
+     */
+    async load() {
+        throw new Error(`${this.constructor.name} must implement load()`);
+    }
+
+    /**
+     * Store or replace a service entry
+     * @param {Object} service - Service entry
+     * @returns {Promise<void>}
+     */
+    async save(service) {
+        throw new Error(`${this.constructor.name} must implement save()`);
+    }
+
+    /**
+     * Remove a service entry
+     * @param {string} key - Service key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        throw new Error(`${this.constructor.name} must implement remove()`);
+    }
+
+    /**
+     * Flush pending writes and release resources
+     * @returns {Promise<void>}
+     */
+    async close() {}
+}
+
+module.exports = RegistryStore;
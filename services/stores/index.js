@@ -0,0 +1,58 @@
+const MemoryRegistryStore = require('./MemoryRegistryStore');
+const FileRegistryStore = require('./FileRegistryStore');
+const RedisRegistryStore = require('./RedisRegistryStore');
+const MemoryOtpStore = require('./MemoryOtpStore');
+const RedisOtpStore = require('./RedisOtpStore');
+
+const stores = {
+    memory: MemoryRegistryStore,
+    file: FileRegistryStore,
+    redis: RedisRegistryStore
+};
+
+const otpStores = {
+    memory: MemoryOtpStore,
+    redis: RedisOtpStore
+};
+
+/**
+ * Create a registry store
+ * @param {string} type - Store type (memory, file, redis)
+ * @param {Object} options - Store options
+ * @returns {RegistryStore} Store instance
+ */
+function createRegistryStore(type = 'memory', options = {}) {
+    const StoreClass = stores[type];
+
+    if (!StoreClass) {
+        throw new Error(`Unknown registry store: ${type}`);
+    }
+
+    return new StoreClass(options);
+}
+
+/**
+ * Create an OTP store
+ * @param {string} type - Store type (memory, redis)
+ * @param {Object} options - Store options
+ * @returns {OtpStore} Store instance
+ */
+function createOtpStore(type = 'memory', options = {}) {
+    const StoreClass = otpStores[type];
+
+    if (!StoreClass) {
+        throw new Error(`Unknown OTP store: ${type}`);
+    }
+
+    return new StoreClass(options);
+}
+
+module.exports = {
+    MemoryRegistryStore,
+    FileRegistryStore,
+    RedisRegistryStore,
+    MemoryOtpStore,
+    RedisOtpStore,
+    createRegistryStore,
+    createOtpStore
+};
@@ -0,0 +1,254 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const InMemoryBroker = require('../../services/brokers/InMemoryBroker');
+
+const { matchTopic } = InMemoryBroker;
+
+// Dispatches run on setImmediate, timers on the event loop
+const flush = () => new Promise(resolve => setImmediate(resolve));
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Take all messages waiting in a queue
+ * @param {InMemoryChannel} channel - Channel to read with
+ * @param {string} queue - Queue name
+ * @returns {Promise<Array<Object>>} Messages, acknowledged
+ */
+const drain = async (channel, queue) => {
+    const messages = [];
+    let message;
+
+    while ((message = await channel.get(queue, { noAck: true }))) {
+        messages.push(message);
+    }
+
+    return messages;
+};
+
+const contents = messages => messages.map(message => message.content.toString());
+
+describe('matchTopic', () => {
+    const cases = [
+        ['otp.verified', 'otp.verified', true],
+        ['otp.*', 'otp.verified', true],
+        ['otp.*', 'otp.delivery.failed', false],
+        ['otp.#', 'otp', true],
+        ['otp.#', 'otp.delivery.failed', true],
+        ['#.failed', 'otp.delivery.failed', true],
+        ['*.delivery.*', 'otp.delivery.sent', true],
+        ['*.delivery.*', 'otp.delivery', false],
+        ['#', 'anything.at.all', true],
+        ['otp.#.failed', 'otp.failed', true],
+        ['otp.#.failed', 'otp.verified', false]
+    ];
+
+    cases.forEach(([pattern, routingKey, expected]) => {
+        it(`${expected ? 'matches' : 'does not match'} ${routingKey} with ${pattern}`, () => {
+            assert.equal(matchTopic(pattern, routingKey), expected);
+        });
+    });
+});
+
+describe('InMemoryBroker', () => {
+    let broker;
+    let channel;
+
+    beforeEach(async () => {
+        broker = new InMemoryBroker();
+        channel = await broker.createChannel();
+    });
+
+    afterEach(async () => {
+        await broker.close();
+    });
+
+    describe('routing', () => {
+        it('routes topic exchanges by binding pattern, once per queue', async () => {
+            await channel.assertExchange('events', 'topic');
+            await channel.assertQueue('one-word');
+            await channel.assertQueue('any-words');
+            await channel.bindQueue('one-word', 'events', 'otp.*');
+            await channel.bindQueue('any-words', 'events', 'otp.#');
+            await channel.bindQueue('any-words', 'events', '#.failed');
+
+            channel.publish('events', 'otp.verified', Buffer.from('verified'));
+            channel.publish('events', 'otp.delivery.failed', Buffer.from('failed'));
+            channel.publish('events', 'user.created', Buffer.from('unroutable'));
+
+            assert.deepEqual(contents(await drain(channel, 'one-word')), ['verified']);
+            assert.deepEqual(contents(await drain(channel, 'any-words')), ['verified', 'failed']);
+        });
+
+        it('routes direct exchanges by exact key and fanout exchanges to every queue', async () => {
+            await channel.assertExchange('direct', 'direct');
+            await channel.assertExchange('fanout', 'fanout');
+            await channel.assertQueue('a');
+            await channel.assertQueue('b');
+            await channel.bindQueue('a', 'direct', 'key');
+            await channel.bindQueue('a', 'fanout');
+            await channel.bindQueue('b', 'fanout');
+
+            channel.publish('direct', 'key', Buffer.from('direct'));
+            channel.publish('direct', 'key.more', Buffer.from('dropped'));
+            channel.publish('fanout', 'ignored', Buffer.from('fanout'));
+
+            assert.deepEqual(contents(await drain(channel, 'a')), ['direct', 'fanout']);
+            assert.deepEqual(contents(await drain(channel, 'b')), ['fanout']);
+        });
+
+        it('throws for an unknown exchange', () => {
+            assert.throws(() => channel.publish('missing', 'key', Buffer.from('x')), /NOT_FOUND/);
+        });
+    });
+
+    describe('consumers', () => {
+        it('delivers no more than the prefetch count of unacknowledged messages', async () => {
+            const received = [];
+            await channel.assertQueue('work');
+            await channel.prefetch(2);
+            await channel.consume('work', message => received.push(message));
+
+            for (let i = 0; i < 5; i++) {
+                channel.sendToQueue('work', Buffer.from(String(i)));
+            }
+            await flush();
+            assert.deepEqual(contents(received), ['0', '1']);
+
+            channel.ack(received[0]);
+            await flush();
+            assert.deepEqual(contents(received), ['0', '1', '2']);
+
+            channel.ack(received[2], true);
+            await flush();
+            assert.deepEqual(contents(received), ['0', '1', '2', '3', '4']);
+        });
+
+        it('requeues nacked messages at the head of the queue as redelivered', async () => {
+            const received = [];
+            await channel.assertQueue('work');
+            await channel.prefetch(1);
+            await channel.consume('work', message => received.push(message));
+
+            channel.sendToQueue('work', Buffer.from('first'));
+            channel.sendToQueue('work', Buffer.from('second'));
+            await flush();
+            channel.nack(received[0]);
+            await flush();
+
+            assert.deepEqual(contents(received), ['first', 'first']);
+            assert.equal(received[1].fields.redelivered, true);
+        });
+
+        it('requeues unacknowledged messages when the channel closes', async () => {
+            await channel.assertQueue('work');
+            await channel.consume('work', () => {});
+            channel.sendToQueue('work', Buffer.from('pending'));
+            await flush();
+
+            await channel.close();
+
+            const other = await broker.createChannel();
+            assert.deepEqual(contents(await drain(other, 'work')), ['pending']);
+        });
+
+        it('rejects settling an unknown delivery', async () => {
+            await channel.assertQueue('work');
+            channel.sendToQueue('work', Buffer.from('x'));
+            const message = await channel.get('work');
+            channel.ack(message);
+
+            assert.throws(() => channel.ack(message), /PRECONDITION_FAILED/);
+        });
+
+        it('deletes an exclusive queue when the channel of its consumer closes', async () => {
+            const { queue } = await channel.assertQueue('', { exclusive: true });
+            await channel.consume(queue, () => {});
+
+            await channel.close();
+
+            const other = await broker.createChannel();
+            await assert.rejects(other.checkQueue(queue), /NOT_FOUND/);
+        });
+    });
+
+    describe('dead-lettering', () => {
+        beforeEach(async () => {
+            await channel.assertExchange('dlx', 'direct');
+            await channel.assertQueue('dead');
+            await channel.bindQueue('dead', 'dlx', 'work');
+        });
+
+        it('moves messages nacked without requeue to the dead-letter exchange', async () => {
+            await channel.assertQueue('work', { arguments: { 'x-dead-letter-exchange': 'dlx' } });
+            channel.sendToQueue('work', Buffer.from('poison'), { headers: { attempt: 1 } });
+
+            channel.nack(await channel.get('work'), false, false);
+
+            const [message] = await drain(channel, 'dead');
+            assert.equal(message.content.toString(), 'poison');
+            assert.equal(message.properties.headers.attempt, 1);
+            assert.equal(message.properties.headers['x-death'][0].queue, 'work');
+            assert.equal(message.properties.headers['x-death'][0].reason, 'rejected');
+        });
+
+        it('drops rejected messages of queues without a dead-letter exchange', async () => {
+            await channel.assertQueue('work');
+            channel.sendToQueue('work', Buffer.from('gone'));
+
+            channel.reject(await channel.get('work'), false);
+
+            assert.deepEqual(await drain(channel, 'work'), []);
+            assert.deepEqual(await drain(channel, 'dead'), []);
+        });
+
+        it('dead-letters messages when the queue TTL expires, without their expiration', async () => {
+            await channel.assertQueue('work', { arguments: { 'x-message-ttl': 20, 'x-dead-letter-exchange': 'dlx' } });
+            channel.sendToQueue('work', Buffer.from('late'), { expiration: '60000' });
+
+            await wait(60);
+
+            assert.deepEqual(await drain(channel, 'work'), []);
+            const [message] = await drain(channel, 'dead');
+            assert.equal(message.content.toString(), 'late');
+            assert.equal(message.properties.headers['x-death'][0].reason, 'expired');
+            assert.equal(message.properties.expiration, undefined);
+        });
+
+        it('applies the shorter of the message expiration and the queue TTL', async () => {
+            await channel.assertQueue('work', { arguments: { 'x-message-ttl': 60000, 'x-dead-letter-exchange': 'dlx' } });
+            channel.sendToQueue('work', Buffer.from('short'), { expiration: '20' });
+            channel.sendToQueue('work', Buffer.from('long'));
+
+            await wait(60);
+
+            assert.deepEqual(contents(await drain(channel, 'dead')), ['short']);
+            assert.deepEqual(contents(await drain(channel, 'work')), ['long']);
+        });
+
+        it('sends dead letters to the x-dead-letter-routing-key if set', async () => {
+            await channel.assertQueue('other', {
+                arguments: { 'x-dead-letter-exchange': 'dlx', 'x-dead-letter-routing-key': 'work' }
+            });
+            channel.sendToQueue('other', Buffer.from('rerouted'));
+
+            channel.nack(await channel.get('other'), false, false);
+
+            assert.deepEqual(contents(await drain(channel, 'dead')), ['rerouted']);
+        });
+    });
+
+    describe('confirm channels', () => {
+        it('confirms every publish', async () => {
+            const confirmChannel = await broker.createConfirmChannel();
+            await confirmChannel.assertQueue('work');
+
+            const confirmed = await new Promise((resolve) => {
+                confirmChannel.sendToQueue('work', Buffer.from('x'), {}, resolve);
+            });
+            await confirmChannel.waitForConfirms();
+
+            assert.equal(confirmed, null);
+            assert.equal((await confirmChannel.checkQueue('work')).messageCount, 1);
+        });
+    });
+});
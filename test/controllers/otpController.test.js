@@ -0,0 +1,328 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const createOtpController = require('../../controllers/otpController');
+const { MemoryOtpStore } = require('../../services/stores');
+const { loadOtpConfig } = require('../../services/otp/config/otp');
+const { generateHotp, getTimeStep } = require('../../utils/authenticator');
+const { ValidationError } = require('../../utils/errors');
+
+/**
+ * Minimal Express response, res.api methods return what they were called with
+ */
+const createResponse = () => {
+    const res = { headers: {} };
+
+    res.set = (name, value) => {
+        res.headers[name] = value;
+        return res;
+    };
+    res.api = {
+        success: (data, message) => ({ status: 200, data, message }),
+        created: (data, message) => ({ status: 201, data, message }),
+        tooMany: (message, details) => ({ status: 429, message, details })
+    };
+
+    return res;
+};
+
+const call = (handler, body, ip = '127.0.0.1') => handler({ body, ip }, createResponse());
+
+describe('otp controller', () => {
+    let store;
+    let config;
+    let controller;
+    let deliveries;
+    let now;
+
+    beforeEach(() => {
+        // Handlers log every outcome
+        mock.method(console, 'log', () => {});
+        now = Date.now();
+        mock.method(Date, 'now', () => now);
+
+        store = new MemoryOtpStore();
+        config = loadOtpConfig(null, {});
+        config.lockout = { maxFailures: 3, window: 900, duration: 600 };
+        deliveries = [];
+        controller = createOtpController(store, config, {
+            resolveChannel: (identifier, channel) => channel || 'email',
+            enqueue: async (message) => {
+                deliveries.push(message);
+            }
+        });
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await store.close();
+    });
+
+    /**
+     * Get an OTP sent to an identifier for the enrollment purpose
+     * @param {string} identifier - Identifier the OTP is sent to
+     * @returns {Promise<string>} OTP
+     */
+    const requestEnrollmentOtp = async (identifier) => {
+        await controller.issueOtp({ identifier, purpose: config.authenticator.enrollmentPurpose });
+
+        return deliveries[deliveries.length - 1].otp;
+    };
+
+    /**
+     * Enroll and confirm an authenticator
+     * @param {string} type - totp or hotp
+     * @returns {Promise<Object>} secret, the counter of the confirming code and the recovery codes
+     */
+    const enroll = async (type) => {
+        const identifier = 'user@example.com';
+        const { data: { secret, enrollmentId } } = await call(controller.enrollAuthenticator, {
+            identifier,
+            type,
+            otp: await requestEnrollmentOtp(identifier)
+        });
+        const counter = type === 'totp' ? getTimeStep(config.authenticator.period) : 0;
+        const { data: { recoveryCodes } } = await call(controller.confirmAuthenticator, {
+            identifier,
+            enrollmentId,
+            otp: generateHotp(secret, counter)
+        });
+
+        return { identifier, secret, counter, recoveryCodes };
+    };
+
+    describe('authenticator', () => {
+        it('only enrolls with an OTP sent to the identifier for the enrollment purpose', async () => {
+            const identifier = 'user@example.com';
+            await assert.rejects(call(controller.enrollAuthenticator, { identifier, type: 'totp', otp: '123456' }), {
+                message: 'Invalid or expired OTP'
+            });
+
+            // An OTP of another purpose does not prove ownership for an enrollment
+            await controller.issueOtp({ identifier, purpose: 'login' });
+            const { otp } = deliveries[0];
+            await assert.rejects(call(controller.enrollAuthenticator, { identifier, type: 'totp', otp }), ValidationError);
+
+            const result = await call(controller.enrollAuthenticator, { identifier, type: 'totp', otp: await requestEnrollmentOtp(identifier) });
+            assert.equal(result.status, 201);
+
+            // The OTP is used up
+            await assert.rejects(call(controller.enrollAuthenticator, { identifier, type: 'totp', otp: deliveries[1].otp }), ValidationError);
+        });
+
+        it('keeps a pending enrollment when someone else tries to enroll', async () => {
+            const identifier = 'user@example.com';
+            const { data: pending } = await call(controller.enrollAuthenticator, {
+                identifier,
+                type: 'hotp',
+                otp: await requestEnrollmentOtp(identifier)
+            });
+
+            await assert.rejects(call(controller.enrollAuthenticator, { identifier, type: 'hotp', otp: '000000' }), ValidationError);
+
+            const result = await call(controller.confirmAuthenticator, {
+                identifier,
+                enrollmentId: pending.enrollmentId,
+                otp: generateHotp(pending.secret, 0)
+            });
+            assert.equal(result.status, 200);
+        });
+
+        it('confirms only with the enrollmentId and counts no failure without it', async () => {
+            const identifier = 'user@example.com';
+            const { data: { secret } } = await call(controller.enrollAuthenticator, {
+                identifier,
+                type: 'hotp',
+                otp: await requestEnrollmentOtp(identifier)
+            });
+            const enrollmentId = '00000000-0000-4000-8000-000000000000';
+
+            for (let attempt = 0; attempt <= config.lockout.maxFailures; attempt++) {
+                await assert.rejects(call(controller.confirmAuthenticator, { identifier, enrollmentId, otp: generateHotp(secret, 0) }), {
+                    name: 'NotFoundError'
+                });
+            }
+
+            assert.equal(await store.getLockTtl(`authenticator:${identifier}`), 0);
+        });
+
+        it('accepts the next HOTP code once', async () => {
+            const { identifier, secret } = await enroll('hotp');
+            const otp = generateHotp(secret, 1);
+
+            const result = await call(controller.verifyAuthenticator, { identifier, otp });
+            assert.deepEqual(result.data, { method: 'authenticator' });
+
+            await assert.rejects(call(controller.verifyAuthenticator, { identifier, otp }), {
+                name: ValidationError.name,
+                message: 'Invalid authenticator code'
+            });
+        });
+
+        it('rejects HOTP counters at or before the last used one', async () => {
+            const { identifier, secret } = await enroll('hotp');
+            await call(controller.verifyAuthenticator, { identifier, otp: generateHotp(secret, 3) });
+
+            await assert.rejects(call(controller.verifyAuthenticator, { identifier, otp: generateHotp(secret, 2) }), ValidationError);
+        });
+
+        it('rejects a replayed TOTP code', async () => {
+            const { identifier, secret, counter } = await enroll('totp');
+
+            // The code that confirmed the enrollment
+            await assert.rejects(call(controller.verifyAuthenticator, { identifier, otp: generateHotp(secret, counter) }), ValidationError);
+        });
+
+        it('accepts each recovery code once, in any case and with separators', async () => {
+            const { identifier, recoveryCodes } = await enroll('hotp');
+            const [recoveryCode] = recoveryCodes;
+
+            const result = await call(controller.verifyAuthenticator, { identifier, recoveryCode: recoveryCode.toUpperCase() });
+            assert.deepEqual(result.data, { method: 'recovery-code', recoveryCodesLeft: recoveryCodes.length - 1 });
+
+            await assert.rejects(call(controller.verifyAuthenticator, { identifier, recoveryCode }), {
+                message: 'Invalid recovery code'
+            });
+        });
+
+        it('locks the authenticator out after maxFailures wrong codes', async () => {
+            const { identifier, secret } = await enroll('hotp');
+            // Past the lookAhead window, so it never matches
+            const wrong = generateHotp(secret, 1000);
+
+            for (let failure = 1; failure < config.lockout.maxFailures; failure++) {
+                await assert.rejects(call(controller.verifyAuthenticator, { identifier, otp: wrong }), ValidationError);
+            }
+
+            const res = createResponse();
+            const locked = await controller.verifyAuthenticator({ body: { identifier, otp: wrong } }, res);
+            assert.equal(locked.status, 429);
+            assert.equal(res.headers['Retry-After'], String(config.lockout.duration));
+
+            // Even the right code is refused while locked out
+            const retry = await call(controller.verifyAuthenticator, { identifier, otp: generateHotp(secret, 1) });
+            assert.equal(retry.status, 429);
+        });
+    });
+
+    describe('OTP limits', () => {
+        const identifier = 'user@example.com';
+
+        beforeEach(() => {
+            config.rateLimits = { ip: { max: 2, window: 3600 }, identifier: { max: 3, window: 1800 } };
+            config.resendCooldown = 60;
+        });
+
+        /**
+         * Call a handler and pick the outcome
+         * @param {Function} handler - generateOTP or verifyOTP
+         * @param {Object} body - Request body
+         * @param {string} ip - Client IP
+         * @returns {Promise<Object>} status, message and the Retry-After header
+         */
+        const send = async (handler, body, ip = '10.0.0.1') => {
+            const res = createResponse();
+            const { status, message } = await handler({ body, ip }, res);
+
+            return { status, message, retryAfter: res.headers['Retry-After'] };
+        };
+
+        const generate = (body, ip) => send(controller.generateOTP, body, ip);
+
+        it('checks the per-IP limit first and counts the rejected request against no other limit', async () => {
+            assert.equal((await generate({ identifier: 'a@example.com' })).status, 200);
+            assert.equal((await generate({ identifier: 'b@example.com' })).status, 200);
+
+            assert.deepEqual(await generate({ identifier }), {
+                status: 429,
+                message: 'Too many OTPs requested from this address',
+                retryAfter: '3600'
+            });
+            // The cooldown of the identifier was not started
+            assert.equal((await generate({ identifier }, '10.0.0.2')).status, 200);
+        });
+
+        it('checks the per-identifier limit before the resend cooldown', async () => {
+            await generate({ identifier, purpose: 'login' }, '10.0.0.1');
+            await generate({ identifier, purpose: 'password-reset' }, '10.0.0.2');
+            await generate({ identifier, purpose: 'transaction' }, '10.0.0.3');
+
+            assert.deepEqual(await generate({ identifier, purpose: 'login' }, '10.0.0.4'), {
+                status: 429,
+                message: 'Too many OTPs requested for this identifier',
+                retryAfter: '1800'
+            });
+        });
+
+        it('applies the resend cooldown per purpose and identifier', async () => {
+            await generate({ identifier, purpose: 'login' }, '10.0.0.1');
+            now += 20000;
+
+            assert.deepEqual(await generate({ identifier, purpose: 'login' }, '10.0.0.2'), {
+                status: 429,
+                message: 'Please wait before requesting another OTP',
+                retryAfter: '40'
+            });
+            assert.equal((await generate({ identifier, purpose: 'password-reset' }, '10.0.0.2')).status, 200);
+        });
+
+        it('does not count requests rejected by the cooldown against the other limits', async () => {
+            await generate({ identifier });
+
+            for (let retry = 0; retry < 5; retry++) {
+                assert.equal((await generate({ identifier })).message, 'Please wait before requesting another OTP');
+            }
+
+            now += 61000;
+            assert.equal((await generate({ identifier })).status, 200);
+        });
+
+        it('sends the time until the oldest hit leaves the window as Retry-After', async () => {
+            const start = now;
+
+            for (const offset of [0, 600, 1200]) {
+                now = start + offset * 1000;
+                await generate({ identifier }, `10.0.0.${offset}`);
+            }
+
+            now = start + 1300 * 1000;
+            assert.deepEqual(await generate({ identifier }, '10.0.1.1'), {
+                status: 429,
+                message: 'Too many OTPs requested for this identifier',
+                retryAfter: '500'
+            });
+        });
+
+        it('does not apply the per-IP limit to requests without an IP', async () => {
+            for (const name of ['a', 'b', 'c']) {
+                const result = await controller.issueOtp({ identifier: `${name}@example.com` });
+                assert.equal(result.channel, 'email');
+            }
+        });
+
+        it('locks out after maxFailures wrong OTPs, before any other limit', async () => {
+            await generate({ identifier, purpose: 'login' });
+            const wrong = deliveries[0].otp === '000000' ? '111111' : '000000';
+
+            for (let failure = 1; failure < config.lockout.maxFailures; failure++) {
+                await assert.rejects(send(controller.verifyOTP, { identifier, purpose: 'login', otp: wrong }), ValidationError);
+            }
+
+            const lockedOut = {
+                status: 429,
+                message: 'Too many failed verifications, try again later',
+                retryAfter: '600'
+            };
+            assert.deepEqual(await send(controller.verifyOTP, { identifier, purpose: 'login', otp: wrong }), lockedOut);
+
+            // Reported instead of the cooldown, and other purposes are not locked
+            assert.deepEqual(await generate({ identifier, purpose: 'login' }, '10.0.0.2'), lockedOut);
+            assert.equal((await generate({ identifier, purpose: 'transaction' }, '10.0.0.2')).status, 200);
+
+            now += 300000;
+            assert.equal((await generate({ identifier, purpose: 'login' }, '10.0.0.3')).retryAfter, '300');
+
+            now += 300000;
+            assert.equal((await generate({ identifier, purpose: 'login' }, '10.0.0.3')).status, 200);
+        });
+    });
+});
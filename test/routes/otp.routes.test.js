@@ -0,0 +1,195 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const express = require('express');
+const createOtpRouter = require('../../routes/otp.routes');
+const createOtpController = require('../../controllers/otpController');
+const { MemoryOtpStore } = require('../../services/stores');
+const { loadOtpConfig } = require('../../services/otp/config/otp');
+const otpServiceConfig = require('../../services/otp/config');
+const responseHandler = require('../../middleware/responseHandler');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+describe('otp routes', () => {
+    let store;
+    let config;
+    let server;
+    let url;
+
+    /**
+     * Serve the OTP routes the way the otp service does, on a random port
+     * @param {string} host - Address to listen on and send requests to
+     * @param {Object} controller - Route handlers, an OTP controller of the test store by default
+     */
+    const listen = async (host = '127.0.0.1', controller = createOtpController(store, config, {
+        resolveChannel: (identifier, channel) => channel || 'email',
+        enqueue: async () => {}
+    })) => {
+        const app = express();
+
+        app.set('trust proxy', otpServiceConfig.server.trustProxy);
+        app.use(responseHandler);
+        app.use(express.json());
+        app.use('/api/otp', createOtpRouter(controller));
+        app.use(errorHandler);
+
+        server = app.listen(0, host);
+        await new Promise(resolve => server.once('listening', resolve));
+        url = `http://${host}:${server.address().port}/api/otp`;
+    };
+
+    const post = (path, body, headers = {}) => fetch(`${url}${path}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+
+        store = new MemoryOtpStore();
+        config = loadOtpConfig(null, {});
+        config.rateLimits.ip = { max: 2, window: 3600 };
+        server = null;
+    });
+
+    afterEach(async () => {
+        if (server) {
+            await new Promise(resolve => server.close(resolve));
+        }
+        await store.close();
+        mock.restoreAll();
+    });
+
+    describe('client IP', () => {
+        const generate = (name, forwardedFor) => post('/generate', { identifier: `${name}@example.com` }, {
+            'x-forwarded-for': forwardedFor
+        });
+
+        it('counts a spoofed X-Forwarded-For from an untrusted peer against the peer address', async (t) => {
+            const external = Object.values(os.networkInterfaces()).flat()
+                .find(address => address.family === 'IPv4' && !address.internal);
+
+            if (!external) {
+                return t.skip('no non-loopback interface');
+            }
+
+            await listen(external.address);
+
+            assert.equal((await generate('a', '203.0.113.1')).status, 200);
+            assert.equal((await generate('b', '203.0.113.2')).status, 200);
+
+            const response = await generate('c', '203.0.113.3');
+            assert.equal(response.status, 429);
+            assert.equal((await response.json()).message, 'Too many OTPs requested from this address');
+        });
+
+        it('trusts no proxy on a private network by default', () => {
+            const app = express();
+            app.set('trust proxy', otpServiceConfig.server.trustProxy);
+            const isTrusted = app.get('trust proxy fn');
+
+            assert.equal(isTrusted('127.0.0.1', 0), true);
+            ['10.0.0.5', '172.16.0.5', '192.168.1.5', 'fd00::5', '169.254.0.5'].forEach((address) => {
+                assert.equal(isTrusted(address, 0), false, address);
+            });
+        });
+
+        it('takes the client address from a gateway on the same host', async () => {
+            await listen();
+
+            assert.equal((await generate('a', '203.0.113.1')).status, 200);
+            assert.equal((await generate('b', '203.0.113.1')).status, 200);
+            assert.equal((await generate('c', '203.0.113.2')).status, 200);
+            assert.equal((await generate('d', '203.0.113.1')).status, 429);
+        });
+    });
+
+    describe('validation', () => {
+        let received;
+
+        // Handlers that echo the body the validation passed on
+        const echo = (req, res) => {
+            received = req.body;
+            res.api.success(req.body);
+        };
+        const echoController = {
+            generateOTP: echo,
+            verifyOTP: echo,
+            enrollAuthenticator: echo,
+            confirmAuthenticator: echo,
+            verifyAuthenticator: echo,
+            regenerateRecoveryCodes: echo,
+            disableAuthenticator: echo
+        };
+
+        beforeEach(async () => {
+            received = undefined;
+            await listen('127.0.0.1', echoController);
+        });
+
+        it('reports every failure as { field, message, location }', async () => {
+            const response = await post('/authenticator/enroll', { identifier: 'a', type: 'sms' });
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(await response.json(), {
+                success: false,
+                message: 'Validation failed',
+                errors: [
+                    { field: 'identifier', message: '"identifier" length must be at least 3 characters long', location: 'body' },
+                    { field: 'otp', message: '"otp" is required', location: 'body' },
+                    { field: 'type', message: '"type" must be one of [totp, hotp]', location: 'body' }
+                ]
+            });
+            assert.equal(received, undefined);
+        });
+
+        it('requires either an authenticator code or a recovery code', async () => {
+            const response = await post('/authenticator/verify', { identifier: 'user@example.com' });
+
+            assert.equal(response.status, 400);
+            assert.deepEqual((await response.json()).errors, [
+                { field: '', message: 'Either otp or recoveryCode is required', location: 'body' }
+            ]);
+        });
+
+        it('refuses an authenticator code together with a recovery code', async () => {
+            const response = await post('/authenticator/disable', {
+                identifier: 'user@example.com',
+                otp: '123456',
+                recoveryCode: 'abcd-efgh-ijkl'
+            });
+
+            assert.equal(response.status, 400);
+            assert.deepEqual((await response.json()).errors, [
+                { field: '', message: 'Send either otp or recoveryCode, not both', location: 'body' }
+            ]);
+        });
+
+        it('accepts either code on its own', async () => {
+            assert.equal((await post('/authenticator/verify', { identifier: 'user@example.com', otp: '123456' })).status, 200);
+            assert.equal((await post('/authenticator/verify', {
+                identifier: 'user@example.com',
+                recoveryCode: 'abcd-efgh-ijkl'
+            })).status, 200);
+        });
+
+        it('passes on the validated body without unknown fields', async () => {
+            const response = await post('/generate', {
+                identifier: '  user@example.com ',
+                purpose: 'LOGIN',
+                role: 'admin'
+            });
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(received, { identifier: 'user@example.com', purpose: 'login' });
+        });
+
+        it('fills in defaults', async () => {
+            await post('/authenticator/enroll', { identifier: 'user@example.com', otp: '123456' });
+
+            assert.deepEqual(received, { identifier: 'user@example.com', otp: '123456', type: 'totp' });
+        });
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const express = require('express');
+const createRegistryRouter = require('../../routes/registry.routes');
+const ServiceRegistry = require('../../services/ServiceRegistry');
+const RegistryClient = require('../../services/RegistryClient');
+const responseHandler = require('../../middleware/responseHandler');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+describe('registry routes', () => {
+    let registry;
+    let server;
+    let url;
+
+    /**
+     * Serve a registry router on a random local port
+     * @param {Object} options - Router options
+     * @param {string} host - Address to listen on and send requests to
+     */
+    const listen = async (options, host = '127.0.0.1') => {
+        const app = express();
+        app.use(responseHandler);
+        app.use('/registry', createRegistryRouter(registry, options));
+        app.use(errorHandler);
+
+        server = app.listen(0, host);
+        await new Promise(resolve => server.once('listening', resolve));
+        url = `http://${host}:${server.address().port}/registry`;
+    };
+
+    const register = (headers = {}) => fetch(`${url}/services`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: JSON.stringify({ name: 'otp', host: 'localhost', port: 3002 })
+    });
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        registry = new ServiceRegistry();
+        server = null;
+    });
+
+    afterEach(async () => {
+        if (server) {
+            await new Promise(resolve => server.close(resolve));
+        }
+        await registry.stop();
+        mock.restoreAll();
+    });
+
+    it('refuses writes without the registry token', async () => {
+        await listen({ token: 'secret' });
+
+        assert.equal((await register()).status, 401);
+        assert.equal((await register({ 'x-registry-token': 'wrong' })).status, 401);
+        assert.equal((await fetch(`${url}/services/otp/localhost/3002/heartbeat`, { method: 'PUT' })).status, 401);
+        assert.equal((await fetch(`${url}/services/otp/localhost/3002`, { method: 'DELETE' })).status, 401);
+        assert.deepEqual(registry.getAll(), []);
+    });
+
+    it('accepts writes with the registry token and serves reads without it', async () => {
+        await listen({ token: 'secret' });
+
+        assert.equal((await register({ 'x-registry-token': 'secret' })).status, 201);
+
+        const response = await fetch(`${url}/services/otp`);
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).data.length, 1);
+    });
+
+    it('sends the token from the registry client', async () => {
+        await listen({ token: 'secret' });
+        const client = new RegistryClient({ url, token: 'secret' });
+
+        await client.register('otp', 'localhost', 3002);
+        assert.ok(await client.heartbeat('otp', 'localhost', 3002));
+        assert.equal(await client.unregister('otp', 'localhost', 3002), true);
+    });
+
+    it('accepts writes from the local host only when no token is set', async () => {
+        await listen({});
+
+        // Forwarded headers do not make a request local or remote
+        assert.equal((await register({ 'x-forwarded-for': '203.0.113.7' })).status, 201);
+    });
+
+    it('refuses writes from other hosts when no token is set', async (t) => {
+        const external = Object.values(os.networkInterfaces()).flat()
+            .find(address => address.family === 'IPv4' && !address.internal);
+
+        if (!external) {
+            return t.skip('no non-loopback interface');
+        }
+
+        await listen({}, external.address);
+
+        assert.equal((await register()).status, 401);
+    });
+
+    it('rate limits registry requests', async () => {
+        await listen({ token: 'secret', rateLimit: { windowMs: 60000, max: 2 } });
+
+        await fetch(`${url}/services`);
+        await fetch(`${url}/services`);
+
+        const response = await register({ 'x-registry-token': 'secret' });
+        assert.equal(response.status, 429);
+        assert.deepEqual(registry.getAll(), []);
+    });
+});
@@ -0,0 +1,149 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const BaseService = require('../../services/BaseService');
+const InMemoryBroker = require('../../services/brokers/InMemoryBroker');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every few ms
+ * @param {number} timeout - Time in ms before giving up
+ * @returns {Promise<void>}
+ */
+const until = async (condition, timeout = 2000) => {
+    const start = Date.now();
+
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await wait(5);
+    }
+};
+
+describe('BaseService retries and dead letters', () => {
+    let broker;
+    let channel;
+    let service;
+    let handled;
+
+    /**
+     * Consume the work queue, failing the first attempts
+     * @param {number} failures - Attempts that throw before one succeeds
+     * @param {Object} retry - Retry policy overrides
+     */
+    const consume = (failures, retry = {}) => service.consumeFromQueue('work', (content, msg) => {
+        handled.push({ content, msg, at: Date.now() });
+
+        if (handled.length <= failures) {
+            throw new Error(`failure ${handled.length}`);
+        }
+    }, { retry });
+
+    const send = (content, options = {}) => channel.sendToQueue('work', Buffer.from(JSON.stringify(content)), options);
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+
+        broker = new InMemoryBroker();
+        channel = await broker.createChannel();
+        service = new BaseService({
+            name: 'test',
+            channel,
+            retryPolicy: { maxAttempts: 3, initialDelay: 10, multiplier: 2, maxDelay: 1000 }
+        });
+        handled = [];
+    });
+
+    afterEach(async () => {
+        await broker.close();
+        mock.restoreAll();
+    });
+
+    it('retries through TTL queues with a growing delay until the handler succeeds', async () => {
+        await consume(2);
+        send({ id: 1 });
+
+        await until(() => handled.length === 3);
+
+        assert.deepEqual(handled.map(({ msg }) => msg.properties.headers['x-attempts']), [undefined, 1, 2]);
+        assert.equal(handled[2].msg.properties.headers['x-last-error'], 'failure 2');
+        assert.ok(handled[1].at - handled[0].at >= 9);
+        assert.ok(handled[2].at - handled[1].at >= 19);
+        // Declared with the delay as their TTL, dead-lettering back to the source queue
+        assert.equal(broker.queues.get('work.retry.10').args['x-message-ttl'], 10);
+        assert.equal(broker.queues.get('work.retry.20').args['x-dead-letter-routing-key'], 'work');
+
+        await wait(20);
+        assert.equal(broker.queues.get('work.dead').messages.length, 0);
+    });
+
+    it('moves a message to <queue>.dead through <queue>.dlx after maxAttempts', async () => {
+        await consume(Infinity);
+        send({ id: 1 });
+
+        await until(() => broker.queues.get('work.dead').messages.length === 1);
+
+        assert.equal(handled.length, 3);
+        const [deadLetter] = await service.inspectDeadLetters('work');
+        assert.deepEqual(deadLetter.content, { id: 1 });
+        assert.equal(deadLetter.attempts, 3);
+        assert.equal(deadLetter.error, 'failure 3');
+        assert.ok(deadLetter.failedAt);
+        // Inspecting leaves the message in place
+        assert.equal(broker.queues.get('work.dead').messages.length, 1);
+    });
+
+    it('keeps dead letters of messages sent with an expiration', async () => {
+        await consume(Infinity, { maxAttempts: 1 });
+        // As sent by request() with its timeout
+        send({ id: 1 }, { expiration: '30' });
+
+        await until(() => broker.queues.get('work.dead').messages.length === 1);
+        await wait(60);
+
+        const [message] = broker.queues.get('work.dead').messages;
+        assert.ok(message);
+        assert.equal(message.properties.expiration, undefined);
+    });
+
+    it('waits the full retry delay for messages with a shorter expiration', async () => {
+        await consume(1, { initialDelay: 50 });
+        send({ id: 1 }, { expiration: '5' });
+
+        await until(() => handled.length === 2);
+
+        assert.ok(handled[1].at - handled[0].at >= 45);
+        assert.equal(handled[1].msg.properties.expiration, undefined);
+    });
+
+    it('replays dead letters to the source queue with a fresh attempt count', async () => {
+        await consume(3);
+        send({ id: 1 }, { headers: { trace: 'abc' } });
+        await until(() => broker.queues.get('work.dead').messages.length === 1);
+
+        assert.equal(await service.replayDeadLetters('work'), 1);
+        await until(() => handled.length === 4);
+
+        const { content, msg } = handled[3];
+        assert.deepEqual(content, { id: 1 });
+        assert.equal(msg.properties.headers.trace, 'abc');
+        ['x-attempts', 'x-last-error', 'x-failed-at'].forEach((header) => {
+            assert.equal(msg.properties.headers[header], undefined, header);
+        });
+        assert.equal(broker.queues.get('work.dead').messages.length, 0);
+    });
+
+    it('replays no more than the limit', async () => {
+        await consume(Infinity, { maxAttempts: 1 });
+        send({ id: 1 });
+        send({ id: 2 });
+        await until(() => broker.queues.get('work.dead').messages.length === 2);
+
+        assert.equal(await service.replayDeadLetters('work', { limit: 1 }), 1);
+        assert.equal(broker.queues.get('work.dead').messages.length, 1);
+    });
+});
@@ -0,0 +1,92 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const RegistryClient = require('../../services/RegistryClient');
+
+const SNAPSHOT = 'event: snapshot\ndata: []\n\n';
+
+describe('RegistryClient.watch', () => {
+    let server;
+    let watch;
+    let connections;
+
+    /**
+     * Serve a watch stream, the first connection is handled by firstConnection
+     * @param {Function} firstConnection - Called with (req, res) after the snapshot was sent
+     * @returns {Promise<RegistryClient>} Client of the server
+     */
+    const listen = async (firstConnection) => {
+        server = http.createServer((req, res) => {
+            connections += 1;
+            res.writeHead(200, { 'content-type': 'text/event-stream' });
+            res.write(SNAPSHOT);
+
+            if (connections === 1) {
+                firstConnection(req, res);
+            }
+        });
+        server.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+
+        return new RegistryClient({ url: `http://127.0.0.1:${server.address().port}/registry` });
+    };
+
+    /**
+     * Watch until the expected number of snapshots arrived
+     * @param {RegistryClient} client - Client to watch with
+     * @param {number} count - Snapshots to wait for
+     * @returns {Promise<void>}
+     */
+    const snapshots = (client, count) => new Promise((resolve) => {
+        let received = 0;
+
+        watch = client.watch((event) => {
+            if (event === 'snapshot' && ++received === count) {
+                resolve();
+            }
+        }, { reconnectDelay: 10 });
+    });
+
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        connections = 0;
+    });
+
+    afterEach(async () => {
+        watch.close();
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        mock.restoreAll();
+    });
+
+    it('reconnects after the stream ends', { timeout: 2000 }, async () => {
+        const client = await listen((req, res) => res.end());
+
+        await snapshots(client, 2);
+        await wait(50);
+
+        assert.equal(connections, 2);
+    });
+
+    it('reconnects once after the connection is reset', { timeout: 2000 }, async () => {
+        const client = await listen((req) => setTimeout(() => req.socket.destroy(), 10));
+
+        await snapshots(client, 2);
+        await wait(50);
+
+        assert.equal(connections, 2);
+    });
+
+    it('stops reconnecting once closed', async () => {
+        const client = await listen(() => {});
+
+        await snapshots(client, 1);
+        watch.close();
+        await wait(50);
+
+        assert.equal(connections, 1);
+    });
+});
@@ -0,0 +1,160 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    MemoryRegistryStore,
+    FileRegistryStore,
+    RedisRegistryStore
+} = require('../../services/stores');
+
+const entry = (name, port, extra = {}) => ({
+    key: `${name}:localhost:${port}`,
+    name,
+    version: '1.0.0',
+    host: 'localhost',
+    port,
+    url: `http://localhost:${port}`,
+    ...extra
+});
+
+const byKey = (entries) => [...entries].sort((a, b) => a.key.localeCompare(b.key));
+
+/**
+ * In-memory stand-in for the redis v4 client, covering the hash commands the store uses
+ */
+class MockRedisClient {
+    constructor() {
+        this.hashes = new Map();
+    }
+
+    async ensureConnected() {
+        return this;
+    }
+
+    async hGetAll(key) {
+        return Object.fromEntries(this.hashes.get(key) || []);
+    }
+
+    async hSet(key, field, value) {
+        if (!this.hashes.has(key)) {
+            this.hashes.set(key, new Map());
+        }
+        this.hashes.get(key).set(field, value);
+    }
+
+    async hDel(key, field) {
+        this.hashes.get(key)?.delete(field);
+    }
+}
+
+/**
+ * RegistryStore contract every adapter must meet
+ * @param {string} name - Adapter name
+ * @param {Object} adapter - Adapter under test
+ * @param {Function} adapter.setup - Prepare shared state, e.g. a temp file or a client
+ * @param {Function} adapter.create - Create a store on the shared state
+ * @param {Function} adapter.teardown - Release the shared state
+ * @param {boolean} adapter.persistent - Whether entries outlive the store instance
+ */
+function registryStoreContract(name, { setup = () => {}, create, teardown = () => {}, persistent }) {
+    describe(`${name} registry store`, () => {
+        let store;
+
+        beforeEach(async () => {
+            await setup();
+            store = create();
+        });
+
+        afterEach(async () => {
+            await store.close();
+            await teardown();
+        });
+
+        it('loads nothing when empty', async () => {
+            assert.deepEqual(await store.load(), []);
+        });
+
+        it('saves entries and loads them back', async () => {
+            await store.save(entry('api', 3001));
+            await store.save(entry('otp', 3002));
+
+            assert.deepEqual(byKey(await store.load()), [entry('api', 3001), entry('otp', 3002)]);
+        });
+
+        it('replaces an entry saved under the same key', async () => {
+            await store.save(entry('api', 3001));
+            await store.save(entry('api', 3001, { version: '1.1.0' }));
+
+            assert.deepEqual(await store.load(), [entry('api', 3001, { version: '1.1.0' })]);
+        });
+
+        it('removes entries', async () => {
+            await store.save(entry('api', 3001));
+            await store.save(entry('otp', 3002));
+            await store.remove(entry('api', 3001).key);
+
+            assert.deepEqual(await store.load(), [entry('otp', 3002)]);
+        });
+
+        it('ignores removing an unknown key', async () => {
+            await store.remove('missing:localhost:1');
+
+            assert.deepEqual(await store.load(), []);
+        });
+
+        it('does not share entries with callers', async () => {
+            const service = entry('api', 3001);
+            await store.save(service);
+            service.port = 4000;
+
+            const [loaded] = await store.load();
+            loaded.version = '9.9.9';
+
+            assert.deepEqual(await store.load(), [entry('api', 3001)]);
+        });
+
+        if (persistent) {
+            it('reloads entries after a restart', async () => {
+                await store.save(entry('api', 3001));
+                await store.save(entry('otp', 3002));
+                await store.remove(entry('otp', 3002).key);
+                await store.save(entry('api', 3003));
+                await store.close();
+
+                store = create();
+
+                assert.deepEqual(byKey(await store.load()), [entry('api', 3001), entry('api', 3003)]);
+            });
+        }
+    });
+}
+
+registryStoreContract('memory', {
+    create: () => new MemoryRegistryStore(),
+    persistent: false
+});
+
+let directory;
+let filePath;
+
+registryStoreContract('file', {
+    setup: async () => {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'registry-store-'));
+        filePath = path.join(directory, 'registry.json');
+    },
+    create: () => new FileRegistryStore({ filePath, flushDelay: 0 }),
+    teardown: () => fs.promises.rm(directory, { recursive: true, force: true }),
+    persistent: true
+});
+
+let client;
+
+registryStoreContract('redis', {
+    setup: () => {
+        client = new MockRedisClient();
+    },
+    create: () => new RedisRegistryStore({ client, hashKey: 'test:services' }),
+    persistent: true
+});
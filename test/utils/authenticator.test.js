@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    base32Encode,
+    base32Decode,
+    generateHotp,
+    getTimeStep,
+    findCounter,
+    normalizeRecoveryCode
+} = require('../../utils/authenticator');
+
+// Seeds of the RFC 4226 and RFC 6238 test vectors, the longer hashes use longer seeds
+const secrets = {
+    SHA1: base32Encode(Buffer.from('12345678901234567890')),
+    SHA256: base32Encode(Buffer.from('12345678901234567890123456789012')),
+    SHA512: base32Encode(Buffer.from('1234567890'.repeat(6) + '1234'))
+};
+
+describe('base32', () => {
+    it('round trips bytes', () => {
+        const bytes = Buffer.from([0, 1, 2, 253, 254, 255, 42]);
+
+        assert.deepEqual(base32Decode(base32Encode(bytes)), bytes);
+    });
+
+    it('decodes RFC 4648 test vectors, ignoring case and padding', () => {
+        assert.equal(base32Decode('MZXW6YQ=').toString(), 'foob');
+        assert.equal(base32Decode('mzxw6ytboi======').toString(), 'foobar');
+    });
+
+    it('rejects characters outside the alphabet', () => {
+        assert.throws(() => base32Decode('MZXW1'), /Invalid base32 character: 1/);
+    });
+});
+
+describe('generateHotp', () => {
+    // RFC 4226 appendix D
+    const codes = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+    codes.forEach((code, counter) => {
+        it(`matches the RFC 4226 code of counter ${counter}`, () => {
+            assert.equal(generateHotp(secrets.SHA1, counter), code);
+        });
+    });
+});
+
+describe('TOTP', () => {
+    // RFC 6238 appendix B, 8 digits and 30 second steps
+    const vectors = [
+        [59, { SHA1: '94287082', SHA256: '46119246', SHA512: '90693936' }],
+        [1111111109, { SHA1: '07081804', SHA256: '68084774', SHA512: '25091201' }],
+        [1111111111, { SHA1: '14050471', SHA256: '67062674', SHA512: '99943326' }],
+        [1234567890, { SHA1: '89005924', SHA256: '91819424', SHA512: '93441116' }],
+        [2000000000, { SHA1: '69279037', SHA256: '90698825', SHA512: '38618901' }],
+        [20000000000, { SHA1: '65353130', SHA256: '77737706', SHA512: '47863826' }]
+    ];
+
+    vectors.forEach(([seconds, codes]) => {
+        Object.entries(codes).forEach(([algorithm, code]) => {
+            it(`matches the RFC 6238 ${algorithm} code at ${seconds}s`, () => {
+                const step = getTimeStep(30, seconds * 1000);
+
+                assert.equal(generateHotp(secrets[algorithm], step, { digits: 8, algorithm }), code);
+            });
+        });
+    });
+});
+
+describe('findCounter', () => {
+    it('finds the counter a code was generated for', () => {
+        assert.equal(findCounter('969429', secrets.SHA1, [1, 2, 3, 4]), 3);
+    });
+
+    it('returns null when no counter matches', () => {
+        assert.equal(findCounter('969429', secrets.SHA1, [4, 5, 6]), null);
+    });
+
+    it('does not match codes of another length', () => {
+        assert.equal(findCounter('69429', secrets.SHA1, [3]), null);
+    });
+});
+
+describe('normalizeRecoveryCode', () => {
+    it('drops separators and case', () => {
+        assert.equal(normalizeRecoveryCode(' K3H7-X9QA '), 'k3h7x9qa');
+    });
+});
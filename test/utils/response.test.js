@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createResponseHandler } = require('../../middleware/responseHandler');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { NotFoundError } = require('../../utils/errors');
+
+describe('Response errors', () => {
+    let server;
+    let url;
+
+    /**
+     * Serve routes that fail in different ways on a random local port
+     * @param {Object} options - Response options (errorFormat, problemTypeBaseUrl)
+     */
+    const listen = async (options = {}) => {
+        const app = express();
+        app.use(createResponseHandler(options));
+        app.get('/items/:id', (req, res, next) => next(new NotFoundError('Item', req.params.id)));
+        app.get('/invalid', (req, res) => res.api.badRequest('Validation failed', [
+            { field: 'name', message: '"name" is required', location: 'query' }
+        ]));
+        app.get('/ok', (req, res) => res.api.success({ ok: true }));
+        app.use(errorHandler);
+
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+    };
+
+    const get = (path, accept) => fetch(`${url}${path}`, { headers: accept ? { accept } : {} });
+
+    beforeEach(() => {
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+        mock.restoreAll();
+    });
+
+    describe('json format', () => {
+        beforeEach(() => listen());
+
+        it('sends the envelope to clients that do not ask for problem details', async () => {
+            for (const accept of [undefined, '*/*', 'application/json', 'application/json, application/problem+json']) {
+                const response = await get('/items/42', accept);
+
+                assert.equal(response.status, 404);
+                assert.match(response.headers.get('content-type'), /^application\/json/, String(accept));
+                assert.equal(response.headers.get('vary'), 'Accept');
+                assert.deepEqual(await response.json(), {
+                    success: false,
+                    message: 'Item with identifier 42 not found',
+                    code: 'NOT_FOUND_ERROR'
+                });
+            }
+        });
+
+        it('sends problem details to clients that prefer application/problem+json', async () => {
+            for (const accept of ['application/problem+json', 'application/json;q=0.5, application/problem+json']) {
+                const response = await get('/items/42?expand=all', accept);
+
+                assert.equal(response.status, 404);
+                assert.match(response.headers.get('content-type'), /^application\/problem\+json/, accept);
+                assert.equal(response.headers.get('vary'), 'Accept');
+                assert.deepEqual(await response.json(), {
+                    type: 'about:blank',
+                    title: 'Not Found',
+                    status: 404,
+                    detail: 'Item with identifier 42 not found',
+                    instance: '/items/42?expand=all',
+                    code: 'NOT_FOUND_ERROR'
+                });
+            }
+        });
+
+        it('leaves successful responses alone', async () => {
+            const response = await get('/ok', 'application/problem+json');
+
+            assert.equal(response.status, 200);
+            assert.equal(response.headers.get('vary'), null);
+            assert.deepEqual(await response.json(), { success: true, message: 'Success', data: { ok: true } });
+        });
+    });
+
+    describe('problem format', () => {
+        beforeEach(() => listen({ errorFormat: 'problem', problemTypeBaseUrl: 'https://errors.example.com/' }));
+
+        it('sends problem details whatever the client accepts', async () => {
+            const response = await get('/items/42', 'application/json');
+
+            assert.equal(response.status, 404);
+            assert.match(response.headers.get('content-type'), /^application\/problem\+json/);
+            assert.deepEqual(await response.json(), {
+                type: 'https://errors.example.com/not-found-error',
+                title: 'Not Found',
+                status: 404,
+                detail: 'Item with identifier 42 not found',
+                instance: '/items/42',
+                code: 'NOT_FOUND_ERROR'
+            });
+        });
+
+        it('adds validation errors and keeps about:blank for errors without a code', async () => {
+            const response = await get('/invalid');
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(await response.json(), {
+                type: 'about:blank',
+                title: 'Bad Request',
+                status: 400,
+                detail: 'Validation failed',
+                instance: '/invalid',
+                errors: [{ field: 'name', message: '"name" is required', location: 'query' }]
+            });
+        });
+    });
+});
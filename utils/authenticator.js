@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32, the secret encoding authenticator apps expect
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as unpadded base32
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = '';
+    buffer.forEach((byte) => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+
+    return (bits.match(/.{1,5}/g) || [])
+        .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+        .join('');
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} text - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (text) => {
+    const bits = text.toUpperCase().replace(/[\s=]/g, '').split('').map((character) => {
+        const value = BASE32_ALPHABET.indexOf(character);
+
+        if (value === -1) {
+            throw new Error(`Invalid base32 character: ${character}`);
+        }
+
+        return value.toString(2).padStart(5, '0');
+    }).join('');
+
+    return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+/**
+ * Generate a random authenticator secret
+ * @param {number} bytes - Secret length in bytes, RFC 4226 recommends 20
+ * @returns {string} Base32 secret
+ */
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * Compute an RFC 4226 HOTP code
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor, the time step for TOTP
+ * @param {Object} options - Code options
+ * @param {number} options.digits - Code length
+ * @param {string} options.algorithm - HMAC algorithm (SHA1, SHA256, SHA512)
+ * @returns {string} Code
+ */
+const generateHotp = (secret, counter, { digits = 6, algorithm = 'SHA1' } = {}) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac(algorithm.toLowerCase(), base32Decode(secret)).update(message).digest();
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+
+    return String(code).padStart(digits, '0');
+};
+
+/**
+ * Get the RFC 6238 time step of a moment
+ * @param {number} period - Step length in seconds
+ * @param {number} time - Time in ms, now if not given
+ * @returns {number} Time step
+ */
+const getTimeStep = (period = 30, time = Date.now()) => Math.floor(time / 1000 / period);
+
+/**
+ * Find the counter an HOTP or TOTP code was generated for
+ * Every candidate is compared in constant time.
+ * @param {string} otp - Code to check
+ * @param {string} secret - Base32 secret
+ * @param {Array<number>} counters - Counters or time steps to try
+ * @param {Object} options - Code options, see generateHotp
+ * @returns {number|null} Matching counter, or null if none matches
+ */
+const findCounter = (otp, secret, counters, options = {}) => {
+    const actual = Buffer.from(otp);
+
+    return counters.reduce((match, counter) => {
+        const expected = Buffer.from(generateHotp(secret, counter, options));
+        const matches = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+
+        return match === null && matches ? counter : match;
+    }, null);
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps enroll from, usually shown as a QR code
+ * @param {Object} params - URI parameters
+ * @param {string} params.type - totp or hotp
+ * @param {string} params.issuer - Name of the issuing application
+ * @param {string} params.account - Account name, e.g. the identifier
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.algorithm - HMAC algorithm
+ * @param {number} params.digits - Code length
+ * @param {number} params.period - TOTP step length in seconds
+ * @param {number} params.counter - Initial HOTP counter
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = ({ type, issuer, account, secret, algorithm, digits, period, counter }) => {
+    const params = { secret, issuer, algorithm, digits, ...(type === 'totp' ? { period } : { counter }) };
+    // Spaces as %20, some apps show a + from URLSearchParams as is
+    const query = Object.entries(params)
+        .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+        .join('&');
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+
+    return `otpauth://${type}/${label}?${query}`;
+};
+
+/**
+ * Generate recovery codes, e.g. "k3h7-x9qa"
+ * @param {number} count - Number of codes
+ * @returns {Array<string>} Recovery codes
+ */
+const generateRecoveryCodes = (count = 10) => {
+    return Array.from({ length: count }, () => {
+        const code = base32Encode(crypto.randomBytes(5)).toLowerCase();
+
+        return `${code.slice(0, 4)}-${code.slice(4)}`;
+    });
+};
+
+/**
+ * Normalize a recovery code as typed by a user before hashing or checking it
+ * @param {string} code - Recovery code
+ * @returns {string} Code without separators, in lowercase
+ */
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[\s-]/g, '');
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateHotp,
+    getTimeStep,
+    findCounter,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+};
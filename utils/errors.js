@@ -1,3 +1,5 @@
+const { StatusCodes, getReasonPhrase } = require('http-status-codes');
+
 /**
  * Custom Error class for API errors
  */
@@ -82,6 +84,20 @@ class NotFoundError extends CustomError {
     }
 }
 
+/**
+ * Conflict Error class
+ * @extends CustomError
+ */
+class ConflictError extends CustomError {
+    /**
+     * Create a new ConflictError
+     * @param {string} message - Error message
+     */
+    constructor(message = 'Resource already exists') {
+        super('CONFLICT_ERROR', message, 409);
+    }
+}
+
 /**
  * Service Error class
  * @extends CustomError
@@ -116,56 +132,90 @@ class DatabaseError extends CustomError {
 }
 
 /**
- * Format error response
+ * Describe an error for an error response
+ * CustomErrors keep their status code, code and message. Errors from Express
+ * and its middleware (e.g. an unparsable JSON body) carry a 4xx `status` and
+ * keep it; their message is only used when they are marked as safe to expose.
+ * Anything else is an unexpected 500 whose message is not shown to clients.
  * @param {Error} err - Error object
- * @returns {Object} Formatted error response
+ * @returns {Object} statusCode, code, message and, for validation errors, errors
  */
 function formatErrorResponse(err) {
     if (err instanceof CustomError) {
-        const response = {
-            status: 'error',
+        return {
+            statusCode: err.statusCode,
             code: err.code,
-            message: err.message
+            message: err.message,
+            // Add validation errors if available
+            errors: err instanceof ValidationError && Object.keys(err.errors || {}).length ? err.errors : undefined
         };
+    }
+
+    const statusCode = err && (err.status || err.statusCode);
 
-        // Add validation errors if available
-        if (err instanceof ValidationError && err.errors) {
-            response.errors = err.errors;
+    if (statusCode >= 400 && statusCode < 500) {
+        let reason;
+        try {
+            reason = getReasonPhrase(statusCode);
+        } catch (error) {
+            // Status codes without a standard reason phrase
+            reason = 'Request failed';
         }
 
-        return response;
+        return {
+            statusCode,
+            code: reason.toUpperCase().replace(/[^A-Z0-9]+/g, '_'),
+            message: err.expose ? err.message : reason
+        };
     }
 
     // Default error response for unknown errors
     return {
-        status: 'error',
+        statusCode: StatusCodes.INTERNAL_SERVER_ERROR,
         code: 'INTERNAL_SERVER_ERROR',
         message: 'An unexpected error occurred'
     };
 }
 
 /**
- * Error handler middleware for Express
- * @param {Error} err - Error object
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * Describe an error as RFC 7807 problem details
+ * The code and any validation errors are added as extension members.
+ * @param {Object} error - statusCode, code, message and errors, as returned by formatErrorResponse
+ * @param {Object} options - Options
+ * @param {string} options.instance - URI of the request that failed
+ * @param {string} options.typeBaseUrl - Base URL of the error type documentation, about:blank if not set
+ * @returns {Object} Problem details
  */
-function errorHandler(err, req, res, next) {
-    // Log error
-    console.error('Error:', err);
+function toProblemDetails({ statusCode, code, message, errors }, { instance, typeBaseUrl } = {}) {
+    let title;
+    try {
+        title = getReasonPhrase(statusCode);
+    } catch (error) {
+        title = statusCode >= 500 ? 'Server Error' : 'Request failed';
+    }
 
-    // Handle CustomError instances
-    if (err instanceof CustomError) {
-        return res.status(err.statusCode).json(formatErrorResponse(err));
+    const problem = {
+        type: typeBaseUrl && code
+            ? `${typeBaseUrl.replace(/\/+$/, '')}/${code.toLowerCase().replace(/_/g, '-')}`
+            : 'about:blank',
+        title,
+        status: statusCode,
+        detail: message
+    };
+
+    if (instance) {
+        problem.instance = instance;
     }
 
-    // Handle other errors
-    res.status(500).json({
-        status: 'error',
-        code: 'INTERNAL_SERVER_ERROR',
-        message: 'An unexpected error occurred'
-    });
+    if (code) {
+        problem.code = code;
+    }
+
+    if (errors) {
+        problem.errors = errors;
+    }
+
+    return problem;
 }
 
 module.exports = {
@@ -174,8 +224,9 @@ module.exports = {
     AuthenticationError,
     AuthorizationError,
     NotFoundError,
+    ConflictError,
     ServiceError,
     DatabaseError,
     formatErrorResponse,
-    errorHandler
+    toProblemDetails
 }; 
\ No newline at end of file
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+// Characters OTPs of each type are made of
+const OTP_CHARACTERS = {
+    numeric: '0123456789',
+    alphanumeric: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'
+};
+
+/**
+ * Generate a random OTP
+ * @param {number} length - Number of characters
+ * @param {string} type - numeric or alphanumeric
+ * @returns {string} OTP
+ */
+const generateOtp = (length = 6, type = 'numeric') => {
+    const characters = OTP_CHARACTERS[type];
+
+    if (!characters) {
+        throw new Error(`Unknown OTP type: ${type}`);
+    }
+
+    return Array.from({ length }, () => characters[crypto.randomInt(characters.length)]).join('');
+};
+
+/**
+ * Hash an OTP with a salt
+ * @param {string} otp - OTP to hash
+ * @param {string} salt - Hex salt, a new random one if not given
+ * @returns {Object} Hex hash and salt
+ */
+const hashOtp = (otp, salt = crypto.randomBytes(16).toString('hex')) => {
+    const hash = crypto.createHmac('sha256', salt).update(otp).digest('hex');
+
+    return { hash, salt };
+};
+
+/**
+ * Check an OTP against a stored hash in constant time
+ * @param {string} otp - OTP to check
+ * @param {Object} stored - Stored hash and salt
+ * @returns {boolean} True if the OTP matches
+ */
+const verifyOtpHash = (otp, { hash, salt }) => {
+    const expected = Buffer.from(hash, 'hex');
+    const actual = Buffer.from(hashOtp(otp, salt).hash, 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+    generateOtp,
+    hashOtp,
+    verifyOtpHash
+};
@@ -1,8 +1,21 @@
 const { StatusCodes } = require('http-status-codes');
+const { toProblemDetails } = require('./errors');
+
+const PROBLEM_JSON = 'application/problem+json';
 
 class Response {
-    constructor(res) {
+    /**
+     * Create a response helper for an Express response
+     * @param {Object} res - Express response object
+     * @param {Object} options - Options
+     * @param {string} options.errorFormat - 'json' for the { success, message } envelope, or 'problem' for
+     *   RFC 7807 problem details. Clients get problem details either way when they ask for application/problem+json
+     * @param {string} options.problemTypeBaseUrl - Base URL the problem type URIs are built from
+     */
+    constructor(res, options = {}) {
         this.res = res;
+        this.errorFormat = options.errorFormat || 'json';
+        this.problemTypeBaseUrl = options.problemTypeBaseUrl || null;
     }
 
     send(data = null, message = 'Success', statusCode = StatusCodes.OK) {
@@ -61,12 +74,20 @@ class Response {
         return this.error(message, StatusCodes.INTERNAL_SERVER_ERROR, errors);
     }
 
-    error(message = 'Error', statusCode = StatusCodes.INTERNAL_SERVER_ERROR, errors = null) {
+    error(message = 'Error', statusCode = StatusCodes.INTERNAL_SERVER_ERROR, errors = null, code = null) {
+        if (this._wantsProblem()) {
+            return this.problem(message, statusCode, errors, code);
+        }
+
         const response = {
             success: false,
             message
         };
 
+        if (code) {
+            response.code = code;
+        }
+
         if (errors) {
             response.errors = errors;
         }
@@ -74,6 +95,37 @@ class Response {
         return this.res.status(statusCode).json(response);
     }
 
+    problem(detail = 'Error', statusCode = StatusCodes.INTERNAL_SERVER_ERROR, errors = null, code = null) {
+        const { req } = this.res;
+        const problem = toProblemDetails(
+            { statusCode, code, message: detail, errors },
+            { instance: req && req.originalUrl, typeBaseUrl: this.problemTypeBaseUrl }
+        );
+
+        return this.res.status(statusCode).type(PROBLEM_JSON).json(problem);
+    }
+
+    /**
+     * Check whether errors should be sent as problem details
+     * @returns {boolean} True for the problem format or when the client prefers application/problem+json
+     * @private
+     */
+    _wantsProblem() {
+        if (this.errorFormat === 'problem') {
+            return true;
+        }
+
+        const { req } = this.res;
+        if (!req) {
+            return false;
+        }
+
+        // The error format depends on the Accept header, so caches must key on it
+        this.res.vary('Accept');
+
+        return req.accepts(['application/json', PROBLEM_JSON]) === PROBLEM_JSON;
+    }
+
     stream(data, type = 'application/octet-stream') {
         return this.res.set('Content-Type', type).send(data);
     }
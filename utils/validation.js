@@ -0,0 +1,16 @@
+/**
+ * Convert the details of a Joi validation error into the list of
+ * { field, message } objects used by ValidationError and res.api.badRequest
+ * @param {Object} error - Joi ValidationError
+ * @returns {Array<Object>} Validation errors
+ */
+const formatJoiErrors = (error) => {
+    return error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+    }));
+};
+
+module.exports = {
+    formatJoiErrors
+};
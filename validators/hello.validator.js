@@ -0,0 +1,11 @@
+const Joi = require('joi');
+
+const getHelloWithName = {
+    params: Joi.object({
+        name: Joi.string().trim().min(1).max(100).required()
+    })
+};
+
+module.exports = {
+    getHelloWithName
+};
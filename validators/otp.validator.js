@@ -0,0 +1,118 @@
+const Joi = require('joi');
+const MessageSchemaRegistry = require('../services/brokers/MessageSchemaRegistry');
+
+const identifier = Joi.string().trim().min(3).max(254);
+const otp = Joi.string().trim().alphanum().min(4).max(12);
+// Purposes are configured in the OTP config, see services/otp/config/otp.js
+const purpose = Joi.string().trim().lowercase().pattern(/^[a-z0-9-]+$/).max(50);
+const channel = Joi.string().valid('email', 'sms');
+// Codes of authenticator apps, digits are set by the authenticator config
+const authenticatorCode = Joi.string().trim().pattern(/^\d{6,8}$/).messages({
+    'string.pattern.base': '{{#label}} must be a 6 to 8 digit code'
+});
+const recoveryCode = Joi.string().trim().min(8).max(20);
+
+/**
+ * Request schemas for the OTP routes, see middleware/validate.js
+ */
+const generateOTP = {
+    body: Joi.object({
+        identifier: identifier.required(),
+        purpose,
+        // Guessed from the identifier if not set
+        channel
+    })
+};
+
+const verifyOTP = {
+    body: Joi.object({
+        identifier: identifier.required(),
+        otp: otp.required(),
+        purpose
+    })
+};
+
+// otp is an OTP sent to the identifier for the enrollment purpose, proving it is the caller's
+const enrollAuthenticator = {
+    body: Joi.object({
+        identifier: identifier.required(),
+        otp: otp.required(),
+        type: Joi.string().valid('totp', 'hotp').default('totp')
+    })
+};
+
+// The first code from the app confirms the enrollment it was started with
+const confirmAuthenticator = {
+    body: Joi.object({
+        identifier: identifier.required(),
+        enrollmentId: Joi.string().guid().required(),
+        otp: authenticatorCode.required()
+    })
+};
+
+// A code from the app or, without the app, a recovery code
+const verifyAuthenticator = {
+    body: Joi.object({
+        identifier: identifier.required(),
+        otp: authenticatorCode,
+        recoveryCode
+    }).xor('otp', 'recoveryCode').messages({
+        'object.missing': 'Either otp or recoveryCode is required',
+        'object.xor': 'Send either otp or recoveryCode, not both'
+    })
+};
+
+const regenerateRecoveryCodes = {
+    body: Joi.object({
+        identifier: identifier.required(),
+        otp: authenticatorCode.required()
+    })
+};
+
+const disableAuthenticator = verifyAuthenticator;
+
+/**
+ * Messages accepted on the OTP requests queue, keyed by action
+ */
+const otpRequestSchemas = new MessageSchemaRegistry()
+    .register('generate', Joi.object({
+        action: Joi.string().valid('generate').required(),
+        identifier: identifier.required(),
+        purpose,
+        channel,
+        correlationId: Joi.string()
+    }))
+    .register('verify', Joi.object({
+        action: Joi.string().valid('verify').required(),
+        identifier: identifier.required(),
+        otp: otp.required(),
+        purpose,
+        correlationId: Joi.string()
+    }));
+
+/**
+ * Messages accepted on the OTP deliveries queue
+ */
+const otpDeliverySchemas = new MessageSchemaRegistry()
+    .register('deliver', Joi.object({
+        action: Joi.string().valid('deliver').required(),
+        deliveryId: Joi.string().required(),
+        identifier: identifier.required(),
+        channel: channel.required(),
+        purpose,
+        otp: otp.required(),
+        expiresIn: Joi.number().integer().min(1).required(),
+        expiresAt: Joi.date().iso().required()
+    }));
+
+module.exports = {
+    generateOTP,
+    verifyOTP,
+    enrollAuthenticator,
+    confirmAuthenticator,
+    verifyAuthenticator,
+    regenerateRecoveryCodes,
+    disableAuthenticator,
+    otpRequestSchemas,
+    otpDeliverySchemas
+};